@@ -0,0 +1,902 @@
+"use strict";
+
+// The messages that the client and server send one another, and how to validate them. This file is
+// shared by both: in the browser, it defines the global `Protocol`, and in Node.js, it's a module.
+const Protocol = (() => {
+    // The version of the protocol. This should be incremented whenever a change is made that means
+    // older clients can no longer talk to the server (or vice versa).
+    const VERSION = 14;
+
+    // The tools with which participants can draw. Eraser strokes erase whatever strokes are beneath
+    // them (but not images or text), regardless of their colour.
+    const TOOLS = ["brush", "eraser"];
+
+    // The shapes drawn with the shape tools, which we call figures (to distinguish them from the
+    // shapes of drawing messages in general).
+    const FIGURES = ["line", "rectangle", "ellipse", "arrow"];
+
+    // The shapes of drawing messages that edit strokes that have already been drawn, rather than
+    // drawing anything themselves.
+    const EDITS = ["move", "delete", "recolour"];
+
+    // The maximum length of the text in a text shape, and the height of each line of text, relative
+    // to its font size.
+    const MAX_TEXT_LENGTH = 500;
+    const TEXT_LINE_HEIGHT = 1.2;
+
+    // Freehand strokes start with a `circle`, which gives the tool and colour of the stroke, and
+    // continue with `points` messages, each of which carries a batch of the pen's subsequent states
+    // (see `encode_points`). Positions and radii are sent in units of `1 / POINT_PRECISION`.
+    const POINT_PRECISION = 10;
+    const MAX_POINTS = 64;
+
+    // Each channel has a number of layers, onto which participants draw. Layers are identified by
+    // number, and every channel has the layer 0, onto which any actions that don't specify a layer
+    // are drawn.
+    const MAX_LAYERS = 16;
+    const MAX_LAYER_NAME_LENGTH = 32;
+    const DEFAULT_LAYERS = [{ id: 0, name: "Layer 1", hidden: false, locked: false }];
+
+    // The server keeps checkpoints of the canvas, from which it may be restored: one is taken
+    // automatically whenever the canvas is cleared (or restored), and participants may take their
+    // own, named ones.
+    const MAX_CHECKPOINT_NAME_LENGTH = 64;
+
+    // The canvas is unbounded, but the positions and sizes of what is drawn on it must be at most
+    // this large (in magnitude), which is far beyond anywhere participants would pan to.
+    const MAX_COORDINATE = 1000000;
+
+    // The maximum size of any message, in bytes.
+    const MAX_MESSAGE_SIZE = 1024 * 1024;
+
+    // The number of drawing messages each client may send per second, and in a single burst. Pointer
+    // events can fire more than 100 times a second with a stylus, so this is quite generous. The
+    // server rejects any messages sent faster than this, so clients mustn't save up more than a
+    // burst's worth while they're disconnected.
+    const DRAW_RATE = 250;
+    const DRAW_BURST = 500;
+
+    // The maximum length of an image's data URL. Clients should scale down images that are any
+    // larger.
+    const MAX_IMAGE_SIZE = 512 * 1024;
+
+    // The roles participants may have in a channel. Owners may remove other participants, and
+    // viewers may not draw.
+    const ROLES = ["owner", "editor", "viewer"];
+
+    // The errors the server may report to clients.
+    const ERRORS = [
+        // The client is using a different version of the protocol to the server.
+        "version",
+        // The message was not valid according to the protocol.
+        "invalid_message",
+        "unknown_channel",
+        "already_joined",
+        "not_joined",
+        // The channel requires a password, which was not given or was incorrect.
+        "password_required",
+        // The participant is not permitted to join the channel, or to do what they tried to do.
+        "forbidden",
+        // The participant was removed from the channel by its owner.
+        "kicked",
+        // The client is sending drawing messages too quickly, or ones that are too large.
+        "rate_limited",
+        "too_large",
+    ];
+
+    // The named colours of CSS, by their hex codes. `transparent` is also a named colour, but has
+    // no hex code of this form.
+    const NAMED_COLOURS = {
+        aliceblue: "f0f8ff", antiquewhite: "faebd7", aqua: "00ffff", aquamarine: "7fffd4",
+        azure: "f0ffff", beige: "f5f5dc", bisque: "ffe4c4", black: "000000",
+        blanchedalmond: "ffebcd", blue: "0000ff", blueviolet: "8a2be2", brown: "a52a2a",
+        burlywood: "deb887", cadetblue: "5f9ea0", chartreuse: "7fff00", chocolate: "d2691e",
+        coral: "ff7f50", cornflowerblue: "6495ed", cornsilk: "fff8dc", crimson: "dc143c",
+        cyan: "00ffff", darkblue: "00008b", darkcyan: "008b8b", darkgoldenrod: "b8860b",
+        darkgray: "a9a9a9", darkgreen: "006400", darkgrey: "a9a9a9", darkkhaki: "bdb76b",
+        darkmagenta: "8b008b", darkolivegreen: "556b2f", darkorange: "ff8c00",
+        darkorchid: "9932cc", darkred: "8b0000", darksalmon: "e9967a", darkseagreen: "8fbc8f",
+        darkslateblue: "483d8b", darkslategray: "2f4f4f", darkslategrey: "2f4f4f",
+        darkturquoise: "00ced1", darkviolet: "9400d3", deeppink: "ff1493", deepskyblue: "00bfff",
+        dimgray: "696969", dimgrey: "696969", dodgerblue: "1e90ff", firebrick: "b22222",
+        floralwhite: "fffaf0", forestgreen: "228b22", fuchsia: "ff00ff", gainsboro: "dcdcdc",
+        ghostwhite: "f8f8ff", gold: "ffd700", goldenrod: "daa520", gray: "808080", green: "008000",
+        greenyellow: "adff2f", grey: "808080", honeydew: "f0fff0", hotpink: "ff69b4",
+        indianred: "cd5c5c", indigo: "4b0082", ivory: "fffff0", khaki: "f0e68c",
+        lavender: "e6e6fa", lavenderblush: "fff0f5", lawngreen: "7cfc00", lemonchiffon: "fffacd",
+        lightblue: "add8e6", lightcoral: "f08080", lightcyan: "e0ffff",
+        lightgoldenrodyellow: "fafad2", lightgray: "d3d3d3", lightgreen: "90ee90",
+        lightgrey: "d3d3d3", lightpink: "ffb6c1", lightsalmon: "ffa07a", lightseagreen: "20b2aa",
+        lightskyblue: "87cefa", lightslategray: "778899", lightslategrey: "778899",
+        lightsteelblue: "b0c4de", lightyellow: "ffffe0", lime: "00ff00", limegreen: "32cd32",
+        linen: "faf0e6", magenta: "ff00ff", maroon: "800000", mediumaquamarine: "66cdaa",
+        mediumblue: "0000cd", mediumorchid: "ba55d3", mediumpurple: "9370db",
+        mediumseagreen: "3cb371", mediumslateblue: "7b68ee", mediumspringgreen: "00fa9a",
+        mediumturquoise: "48d1cc", mediumvioletred: "c71585", midnightblue: "191970",
+        mintcream: "f5fffa", mistyrose: "ffe4e1", moccasin: "ffe4b5", navajowhite: "ffdead",
+        navy: "000080", oldlace: "fdf5e6", olive: "808000", olivedrab: "6b8e23", orange: "ffa500",
+        orangered: "ff4500", orchid: "da70d6", palegoldenrod: "eee8aa", palegreen: "98fb98",
+        paleturquoise: "afeeee", palevioletred: "db7093", papayawhip: "ffefd5",
+        peachpuff: "ffdab9", peru: "cd853f", pink: "ffc0cb", plum: "dda0dd", powderblue: "b0e0e6",
+        purple: "800080", rebeccapurple: "663399", red: "ff0000", rosybrown: "bc8f8f",
+        royalblue: "4169e1", saddlebrown: "8b4513", salmon: "fa8072", sandybrown: "f4a460",
+        seagreen: "2e8b57", seashell: "fff5ee", sienna: "a0522d", silver: "c0c0c0",
+        skyblue: "87ceeb", slateblue: "6a5acd", slategray: "708090", slategrey: "708090",
+        snow: "fffafa", springgreen: "00ff7f", steelblue: "4682b4", tan: "d2b48c", teal: "008080",
+        thistle: "d8bfd8", tomato: "ff6347", turquoise: "40e0d0", violet: "ee82ee",
+        wheat: "f5deb3", white: "ffffff", whitesmoke: "f5f5f5", yellow: "ffff00",
+        yellowgreen: "9acd32",
+    };
+
+    // Parse a CSS colour into its RGBA components (each in the range 0–255), returning `null` if
+    // the colour is not valid. We support named colours, hex codes, and the `rgb()` and `hsl()`
+    // functions (with comma-separated arguments), but not the rest of CSS's colour syntax.
+    const parse_colour = (colour) => {
+        if (typeof colour !== "string") {
+            return null;
+        }
+        colour = colour.trim().toLowerCase();
+        if (colour === "transparent") {
+            return [0, 0, 0, 0];
+        }
+        if (Object.prototype.hasOwnProperty.call(NAMED_COLOURS, colour)) {
+            colour = `#${NAMED_COLOURS[colour]}`;
+        }
+
+        let match = colour.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+        if (match !== null) {
+            let hex = match[1];
+            if (hex.length <= 4) {
+                hex = hex.split("").map((digit) => digit + digit).join("");
+            }
+            if (hex.length === 6) {
+                hex += "ff";
+            }
+            return [0, 2, 4, 6].map((i) => parseInt(hex.slice(i, i + 2), 16));
+        }
+
+        const number = "\\s*(-?\\d+(?:\\.\\d+)?|-?\\.\\d+)";
+        const alpha = (a) => {
+            if (a === undefined) {
+                return 255;
+            }
+            return Math.round(Math.min(Math.max(parseFloat(a), 0), 1) * 255);
+        };
+        const clamp = (x, max) => Math.min(Math.max(x, 0), max);
+
+        match = colour.match(new RegExp(
+            `^rgba?\\(${number}\\s*,${number}\\s*,${number}\\s*(?:,${number}\\s*)?\\)$`,
+        ));
+        if (match !== null) {
+            return match.slice(1, 4)
+                .map((c) => Math.round(clamp(parseFloat(c), 255)))
+                .concat([alpha(match[4])]);
+        }
+
+        match = colour.match(new RegExp(
+            `^hsla?\\(${number}\\s*,${number}%\\s*,${number}%\\s*(?:,${number}\\s*)?\\)$`,
+        ));
+        if (match !== null) {
+            const h = ((parseFloat(match[1]) % 360) + 360) % 360;
+            const s = clamp(parseFloat(match[2]), 100) / 100;
+            const l = clamp(parseFloat(match[3]), 100) / 100;
+            // The standard HSL to RGB conversion.
+            const k = (n) => (n + h / 30) % 12;
+            const a = s * Math.min(l, 1 - l);
+            const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+            return [f(0), f(8), f(4)].map((c) => Math.round(c * 255)).concat([alpha(match[4])]);
+        }
+
+        return null;
+    };
+
+    // Validators take a value and return `null` if it is valid, or otherwise a description of why
+    // it is not.
+    const any = () => null;
+    const finite = (x) => Number.isFinite(x) ? null : "must be a finite number";
+    const nonnegative = (x) => Number.isFinite(x) && x >= 0 ? null : "must be a nonnegative number";
+    const natural = (x) => Number.isInteger(x) && x >= 0 ? null : "must be a nonnegative integer";
+    const string = (x) => typeof x === "string" ? null : "must be a string";
+    const boolean = (x) => typeof x === "boolean" ? null : "must be a boolean";
+    const positive = (x) => Number.isFinite(x) && x > 0 ? null : "must be a positive number";
+    const colour = (x) => parse_colour(x) !== null ? null : "must be a valid colour";
+    // Positions and sizes of shapes on the canvas.
+    const coordinate = (x) => {
+        return Number.isFinite(x) && Math.abs(x) <= MAX_COORDINATE
+            ? null : `must be a number between -${MAX_COORDINATE} and ${MAX_COORDINATE}`;
+    };
+    const extent = (x) => {
+        return Number.isFinite(x) && x >= 0 && x <= MAX_COORDINATE
+            ? null : `must be a number between 0 and ${MAX_COORDINATE}`;
+    };
+    const positive_extent = (x) => x === 0 ? "must be positive" : extent(x);
+    const text = (x) => {
+        if (typeof x !== "string" || x.trim() === "") {
+            return "must be a nonempty string";
+        }
+        return x.length <= MAX_TEXT_LENGTH ? null : `must be at most ${MAX_TEXT_LENGTH} characters long`;
+    };
+    const point_stream = (x) => {
+        const description = `must be a list of between 4 and ${MAX_POINTS} encoded points`;
+        if (
+            !Array.isArray(x) || x.length % 3 !== 0 || x.length < 3 * 4 || x.length > 3 * MAX_POINTS
+                || !x.every(Number.isSafeInteger)
+        ) {
+            return description;
+        }
+        return decode_points(x).every((point) => {
+            return coordinate(point.x) === null && coordinate(point.y) === null
+                && extent(point.radius) === null;
+        }) ? null : description;
+    };
+    const name_of_length = (max_length) => (x) => {
+        if (typeof x !== "string" || x.trim() === "") {
+            return "must be a nonempty string";
+        }
+        return x.length <= max_length ? null : `must be at most ${max_length} characters long`;
+    };
+    const layer_name = name_of_length(MAX_LAYER_NAME_LENGTH);
+    const checkpoint_name = name_of_length(MAX_CHECKPOINT_NAME_LENGTH);
+    const image_url = (x) => {
+        const pattern = /^data:image\/(png|jpeg|gif|webp);base64,[a-z0-9+/]+=*$/i;
+        if (typeof x !== "string" || !pattern.test(x)) {
+            return "must be a PNG, JPEG, GIF or WebP data URL";
+        }
+        return x.length <= MAX_IMAGE_SIZE ? null : `must be at most ${MAX_IMAGE_SIZE} characters long`;
+    };
+    const one_of = (values) => (x) => {
+        return values.includes(x) ? null : `must be one of: ${values.join(", ")}`;
+    };
+    const nullable = (validator) => (x) => x === null ? null : validator(x);
+    const array = (validator) => (x) => {
+        if (!Array.isArray(x)) {
+            return "must be an array";
+        }
+        for (let i = 0; i < x.length; ++i) {
+            const reason = validator(x[i]);
+            if (reason !== null) {
+                return `[${i}] ${reason}`;
+            }
+        }
+        return null;
+    };
+    // Marks a property of an object as one that may be omitted.
+    const optional = (validator) => Object.assign((x) => validator(x), { optional: true });
+    // Objects must have exactly the properties in the signature `sig`, which maps each property to
+    // a validator.
+    const object = (sig) => (data) => {
+        if (typeof data !== "object" || data === null || Array.isArray(data)) {
+            return "must be an object";
+        }
+        const properties = new Set(Object.keys(data));
+        for (const [key, validator] of Object.entries(sig)) {
+            if (properties.delete(key)) {
+                const reason = validator(data[key]);
+                if (reason !== null) {
+                    // The data value did not pass the validation test. Reject it.
+                    return `${key} ${reason}`;
+                }
+            } else if (!validator.optional) {
+                // The data did not include a required field. Reject it.
+                return `is missing the property ${key}`;
+            }
+        }
+        if (properties.size !== 0) {
+            // The data included fields that were not present in the signature. Reject it.
+            return `has unexpected properties: ${Array.from(properties).join(", ")}`;
+        }
+        return null;
+    };
+
+    const pen_state = object({
+        x: coordinate,
+        y: coordinate,
+        tool: one_of(TOOLS),
+        colour,
+        radius: extent,
+    });
+
+    const point = object({ x: coordinate, y: coordinate });
+
+    // Figures are given by two points (the ends of lines and arrows, or the corners of the bounding
+    // box of rectangles and ellipses), and are outlined with `colour` at the given `width`.
+    const figure = { stroke: natural, from: point, to: point, colour, width: positive_extent };
+
+    // The layers of a channel, from bottom to top. Hidden layers aren't drawn, and nobody may draw
+    // on (or edit the strokes of) locked layers.
+    const layer = object({ id: natural, name: layer_name, hidden: boolean, locked: boolean });
+    // Checkpoints taken automatically are named by the server, and have no `author`.
+    const checkpoint = object({
+        id: natural,
+        name: string,
+        time: nonnegative,
+        author: nullable(string),
+    });
+
+    // Edits apply to strokes drawn by anyone, which are identified by their author and stroke (so
+    // that, for instance, every segment of a freehand stroke is edited together). An edit is a
+    // stroke in its own right, so that its author may undo it.
+    const edit = {
+        stroke: natural,
+        targets: array(object({ author: string, stroke: natural })),
+    };
+
+    // The shapes that clients may draw, and the properties of each.
+    const SHAPES = {
+        circle: { stroke: natural, at: pen_state },
+        // Bridges may be curved, in which case `controls` gives the control points of the cubic
+        // Bézier curve along which they're drawn, near `from` and `to` respectively.
+        bridge: {
+            stroke: natural,
+            from: pen_state,
+            to: pen_state,
+            controls: optional(object({ from: point, to: point })),
+        },
+        // A batch of points along a freehand stroke, which is drawn as a series of bridges (see
+        // `expand`).
+        points: { stroke: natural, points: point_stream },
+        // Images are drawn beneath all other shapes, so that they may be annotated.
+        image: {
+            stroke: natural,
+            x: coordinate,
+            y: coordinate,
+            width: positive_extent,
+            height: positive_extent,
+            src: image_url,
+        },
+        // Text is drawn above all other shapes, so that it remains legible. `(x, y)` is the top-left
+        // corner of the text, which may contain several lines.
+        text: { stroke: natural, x: coordinate, y: coordinate, size: positive_extent, colour, text },
+        line: figure,
+        arrow: figure,
+        rectangle: Object.assign({ fill: nullable(colour) }, figure),
+        ellipse: Object.assign({ fill: nullable(colour) }, figure),
+        move: Object.assign({ dx: coordinate, dy: coordinate }, edit),
+        delete: edit,
+        recolour: Object.assign({ colour }, edit),
+        clear: {},
+        undo: {},
+        redo: {},
+    };
+
+    // Shapes that draw something are drawn onto a layer.
+    for (const shape of ["circle", "bridge", "points", "image", "text", ...FIGURES]) {
+        SHAPES[shape] = Object.assign({ layer: optional(natural) }, SHAPES[shape]);
+    }
+
+    // When the server broadcasts a drawing action, it attributes it to its author, stamps it with the
+    // time (in milliseconds since the epoch) at which it was accepted and (for undo and redo) says
+    // which stroke it applies to. Actions stored before times were recorded have none.
+    const SERVER_SHAPES = {};
+    for (const [shape, sig] of Object.entries(SHAPES)) {
+        SERVER_SHAPES[shape] = Object.assign({ author: string, time: optional(nonnegative) }, sig);
+    }
+    Object.assign(SERVER_SHAPES.undo, { stroke: natural });
+    Object.assign(SERVER_SHAPES.redo, { stroke: natural });
+
+    // Translucent strokes are drawn as a whole with the opacity of their colour, rather than action
+    // by action (which would darken wherever a stroke overlaps itself). This returns the opacity of
+    // a drawing action, along with an opaque copy of it to draw on the stroke's own layer. The
+    // action is assumed to be valid. Erasing is always opaque.
+    const split_opacity = (action) => {
+        const keys = { circle: ["at"], bridge: ["from", "to"] }[action.shape];
+        if (keys === undefined || action[keys[keys.length - 1]].tool === "eraser") {
+            return [action, 1];
+        }
+        const alpha = parse_colour(action[keys[keys.length - 1]].colour)[3] / 255;
+        if (alpha === 1) {
+            return [action, 1];
+        }
+        const opaque = Object.assign({}, action);
+        for (const key of keys) {
+            const [r, g, b] = parse_colour(action[key].colour);
+            opaque[key] = Object.assign({}, action[key], { colour: `rgb(${r}, ${g}, ${b})` });
+        }
+        return [opaque, alpha];
+    };
+
+    // The head of an arrow from `(x0, y0)` to `(x1, y1)` whose shaft has the given width. Returns
+    // the triangle forming the head, and the point at which the shaft should end.
+    const arrowhead = (x0, y0, x1, y1, width) => {
+        const length = Math.hypot(x1 - x0, y1 - y0);
+        const [dx, dy] = length > 0 ? [(x1 - x0) / length, (y1 - y0) / length] : [1, 0];
+        const size = Math.min(Math.max(width * 3, 12), length);
+        const base = [x1 - dx * size, y1 - dy * size];
+        const [nx, ny] = [-dy * size * 0.6, dx * size * 0.6];
+        return {
+            points: [[x1, y1], [base[0] + nx, base[1] + ny], [base[0] - nx, base[1] - ny]],
+            base,
+        };
+    };
+
+    // Curved bridges are approximated by straight segments of at most this length, unless that
+    // would take more than `MAX_BRIDGE_SEGMENTS` of them.
+    const BRIDGE_SEGMENT_LENGTH = 4;
+    const MAX_BRIDGE_SEGMENTS = 32;
+
+    // Returns the points along which a bridge is drawn, each of the form `{ x, y, radius }`, from
+    // `from` to `to`. The radius varies linearly along the bridge. The action is assumed to be
+    // valid.
+    const bridge_points = (action) => {
+        const { from, to, controls } = action;
+        if (controls === undefined) {
+            return [from, to];
+        }
+        const polygon = [from, controls.from, controls.to, to];
+        let length = 0;
+        for (let i = 1; i < polygon.length; ++i) {
+            length += Math.hypot(polygon[i].x - polygon[i - 1].x, polygon[i].y - polygon[i - 1].y);
+        }
+        const n = Math.min(Math.max(Math.ceil(length / BRIDGE_SEGMENT_LENGTH), 1), MAX_BRIDGE_SEGMENTS);
+        const points = [];
+        for (let i = 0; i <= n; ++i) {
+            const t = i / n;
+            const [a, b, c, d] = [(1 - t) ** 3, 3 * (1 - t) ** 2 * t, 3 * (1 - t) * t ** 2, t ** 3];
+            points.push({
+                x: a * from.x + b * controls.from.x + c * controls.to.x + d * to.x,
+                y: a * from.y + b * controls.from.y + c * controls.to.y + d * to.y,
+                radius: from.radius + (to.radius - from.radius) * t,
+            });
+        }
+        return points;
+    };
+
+    // Encode a list of points, each of the form `{ x, y, radius }`, as a flat list of integers: the
+    // position and radius of the first point, followed by the difference between each point and
+    // the last, in units of `1 / POINT_PRECISION`. Successive points along a stroke are close
+    // together, so this is much more compact than sending each point in full.
+    const encode_points = (points) => {
+        const encoded = [];
+        let last = [0, 0, 0];
+        for (const point of points) {
+            const next = [point.x, point.y, point.radius].map((x) => Math.round(x * POINT_PRECISION));
+            encoded.push(...next.map((x, i) => x - last[i]));
+            last = next;
+        }
+        return encoded;
+    };
+
+    // The inverse of `encode_points`.
+    const decode_points = (encoded) => {
+        const points = [];
+        const last = [0, 0, 0];
+        for (let i = 0; i < encoded.length; i += 3) {
+            for (let j = 0; j < 3; ++j) {
+                last[j] += encoded[i + j];
+            }
+            const [x, y, radius] = last.map((x) => x / POINT_PRECISION);
+            points.push({ x, y, radius });
+        }
+        return points;
+    };
+
+    const stroke_key = (action) => `${action.author}:${action.stroke}`;
+
+    // Returns the actions in a history with each `points` action replaced by the bridges it draws.
+    // Strokes are drawn along the Catmull-Rom spline through their points, so that they're smooth
+    // however fast the pen moves: the first and last points of each `points` action only determine
+    // the shape of the curve, and successive `points` actions overlap by three points. Bridges take
+    // their tool and colour from the latest `circle` of their stroke, which `headers` maps each
+    // stroke to. This is updated as we go, so that a history may be expanded a few actions at a
+    // time, and may be given the circles of strokes that started before the history does. Points
+    // whose stroke we haven't seen the start of are dropped.
+    const expand = (history, headers = new Map()) => {
+        const expanded = [];
+        for (const action of history) {
+            if (action.shape === "circle") {
+                headers.set(stroke_key(action), action);
+            }
+            if (action.shape !== "points") {
+                expanded.push(action);
+                continue;
+            }
+            const header = headers.get(stroke_key(action));
+            if (header === undefined) {
+                continue;
+            }
+            const state = ({ x, y, radius }) => {
+                return { x, y, tool: header.at.tool, colour: header.at.colour, radius };
+            };
+            const points = decode_points(action.points);
+            for (let i = 1; i + 2 < points.length; ++i) {
+                const [p0, p1, p2, p3] = points.slice(i - 1, i + 3);
+                const bridge = Object.assign({}, action, {
+                    shape: "bridge",
+                    from: state(p1),
+                    to: state(p2),
+                    // The control points of the cubic Bézier curve equivalent to the spline.
+                    controls: {
+                        from: { x: p1.x + (p2.x - p0.x) / 6, y: p1.y + (p2.y - p0.y) / 6 },
+                        to: { x: p2.x - (p3.x - p1.x) / 6, y: p2.y - (p3.y - p1.y) / 6 },
+                    },
+                });
+                delete bridge.points;
+                expanded.push(bridge);
+            }
+        }
+        return expanded;
+    };
+
+    // Returns the bounding box `[x0, y0, x1, y1]` of a drawing action, in world coordinates, or
+    // `null` if it doesn't draw anything. The action is assumed to be valid.
+    const bounds = (action) => {
+        const circle = ({ x, y, radius }) => [x - radius, y - radius, x + radius, y + radius];
+        switch (action.shape) {
+            case "circle":
+                return circle(action.at);
+            case "bridge":
+                // A curve lies within the convex hull of its control points.
+                const radius = Math.max(action.from.radius, action.to.radius);
+                const points = [action.from, action.to];
+                if (action.controls !== undefined) {
+                    points.push(action.controls.from, action.controls.to);
+                }
+                return [
+                    Math.min(...points.map((point) => point.x)) - radius,
+                    Math.min(...points.map((point) => point.y)) - radius,
+                    Math.max(...points.map((point) => point.x)) + radius,
+                    Math.max(...points.map((point) => point.y)) + radius,
+                ];
+            case "image":
+                return [action.x, action.y, action.x + action.width, action.y + action.height];
+            case "text":
+                // We can't measure text without a font, so we estimate its width.
+                const lines = action.text.split("\n");
+                return [
+                    action.x,
+                    action.y,
+                    action.x + Math.max(...lines.map((line) => line.length)) * action.size * 0.6,
+                    action.y + lines.length * action.size * TEXT_LINE_HEIGHT,
+                ];
+            case "line":
+            case "arrow":
+            case "rectangle":
+            case "ellipse":
+                // Arrowheads are wider than their shafts (see `arrowhead`).
+                const margin = action.shape === "arrow"
+                    ? Math.max(action.width * 3, 12) * 0.6
+                    : action.width / 2;
+                return [
+                    Math.min(action.from.x, action.to.x) - margin,
+                    Math.min(action.from.y, action.to.y) - margin,
+                    Math.max(action.from.x, action.to.x) + margin,
+                    Math.max(action.from.y, action.to.y) + margin,
+                ];
+        }
+        return null;
+    };
+
+    // Returns a copy of a drawing action with an edit applied to it, or `null` if the edit deletes
+    // it. The action and edit are assumed to be valid.
+    const apply_edit = (action, edit) => {
+        const move = (point) => {
+            return Object.assign({}, point, { x: point.x + edit.dx, y: point.y + edit.dy });
+        };
+        const recolour = (point) => Object.assign({}, point, { colour: edit.colour });
+        switch (edit.shape) {
+            case "delete":
+                return null;
+            case "move":
+                switch (action.shape) {
+                    case "circle":
+                        return Object.assign({}, action, { at: move(action.at) });
+                    case "image":
+                    case "text":
+                        return move(action);
+                    case "bridge":
+                        const moved = Object.assign({}, action, {
+                            from: move(action.from),
+                            to: move(action.to),
+                        });
+                        if (action.controls !== undefined) {
+                            moved.controls = {
+                                from: move(action.controls.from),
+                                to: move(action.controls.to),
+                            };
+                        }
+                        return moved;
+                    case "line":
+                    case "arrow":
+                    case "rectangle":
+                    case "ellipse":
+                        return Object.assign({}, action, {
+                            from: move(action.from),
+                            to: move(action.to),
+                        });
+                    default:
+                        return action;
+                }
+            case "recolour":
+                switch (action.shape) {
+                    case "circle":
+                        return Object.assign({}, action, { at: recolour(action.at) });
+                    case "bridge":
+                        return Object.assign({}, action, {
+                            from: recolour(action.from),
+                            to: recolour(action.to),
+                        });
+                    case "text":
+                        return recolour(action);
+                    case "rectangle":
+                    case "ellipse":
+                        return Object.assign(recolour(action), {
+                            fill: action.fill !== null ? edit.colour : null,
+                        });
+                    case "line":
+                    case "arrow":
+                        return recolour(action);
+                    default:
+                        // Images keep their own colours.
+                        return action;
+                }
+        }
+        return action;
+    };
+
+    // Returns the actions in a history (as sent by the server) that should be drawn: that is,
+    // omitting strokes that have been undone or deleted, applying any other edits, and expanding
+    // points into bridges (given the `headers` of strokes that started before the history; see
+    // `expand`). Each edit
+    // applies to those actions of its strokes that precede it, so that a stroke that is still
+    // being drawn when it is moved continues from the pen. Undo and redo actions, and edits, are
+    // omitted.
+    const resolve = (history, headers = []) => {
+        history = expand(history, new Map(headers.map((header) => [stroke_key(header), header])));
+        const undone = new Set();
+        for (const action of history) {
+            if (action.shape === "undo") {
+                undone.add(stroke_key(action));
+            } else if (action.shape === "redo") {
+                undone.delete(stroke_key(action));
+            }
+        }
+        // We work backwards, so that we know which edits follow each action. `edits` maps each
+        // stroke to the edits seen so far that apply to it, in the order they were made.
+        const edits = new Map();
+        const resolved = [];
+        for (let i = history.length - 1; i >= 0; --i) {
+            let action = history[i];
+            if (action.shape === "undo" || action.shape === "redo" || undone.has(stroke_key(action))) {
+                continue;
+            }
+            if (EDITS.includes(action.shape)) {
+                for (const target of action.targets) {
+                    const key = stroke_key(target);
+                    if (!edits.has(key)) {
+                        edits.set(key, []);
+                    }
+                    edits.get(key).unshift(action);
+                }
+                continue;
+            }
+            for (const edit of edits.get(stroke_key(action)) || []) {
+                action = apply_edit(action, edit);
+                if (action === null) {
+                    break;
+                }
+            }
+            if (action !== null) {
+                resolved.push(action);
+            }
+        }
+        return resolved.reverse();
+    };
+
+    // The layer onto which an action is drawn.
+    const layer_of = (action) => action.layer !== undefined ? action.layer : 0;
+
+    // Apply a change to the layers of a channel, given by an `add_layer` or `update_layer` message,
+    // returning the new list of layers, or `null` if the change is not possible. Layers are added
+    // on top of the others.
+    const update_layers = (layers, data) => {
+        switch (data.kind) {
+            case "add_layer":
+                if (layers.length >= MAX_LAYERS) {
+                    return null;
+                }
+                return layers.concat([{
+                    id: layers.reduce((id, layer) => Math.max(id, layer.id + 1), 0),
+                    name: data.name.trim(),
+                    hidden: false,
+                    locked: false,
+                }]);
+            case "update_layer":
+                const index = layers.findIndex((layer) => layer.id === data.layer);
+                if (index === -1) {
+                    return null;
+                }
+                const updated = Object.assign({}, layers[index]);
+                if (data.name !== undefined) {
+                    updated.name = data.name.trim();
+                }
+                for (const property of ["hidden", "locked"]) {
+                    if (data[property] !== undefined) {
+                        updated[property] = data[property];
+                    }
+                }
+                const others = layers.filter((layer) => layer.id !== data.layer);
+                const position = data.index !== undefined ? Math.min(data.index, others.length) : index;
+                return others.slice(0, position).concat([updated], others.slice(position));
+        }
+        return null;
+    };
+
+    // The shapes that may be imported into a channel, e.g. from a saved board.
+    const IMPORTABLE_SHAPES = ["circle", "bridge", "image", "text", ...FIGURES];
+    const importable = (action) => {
+        if (
+            typeof action !== "object" || action === null || action.kind !== "draw"
+                || !IMPORTABLE_SHAPES.includes(action.shape)
+        ) {
+            return `must be a drawing of one of: ${IMPORTABLE_SHAPES.join(", ")}`;
+        }
+        return object(Object.assign({ kind: any, shape: any }, SHAPES[action.shape]))(action);
+    };
+
+    // The messages that clients may send to the server. Drawing messages are described by `SHAPES`.
+    const CLIENT_MESSAGES = {
+        join: {
+            channel: string,
+            version: natural,
+            session: optional(string),
+            name: optional(string),
+            // An invitation token, granting a particular role.
+            token: optional(string),
+            // The password for a private channel.
+            password: optional(string),
+            // Join as a viewer, whatever role we would otherwise have, e.g. to watch a
+            // presentation.
+            spectate: optional(boolean),
+        },
+        create: {
+            private: optional(boolean),
+            password: optional(string),
+        },
+        draw: SHAPES,
+        cursor: { x: finite, y: finite },
+        rename: { name: string },
+        kick: { participant: string },
+        // Request the full history of the canvas. This may be very large, so it's sent in pages,
+        // each of which says where the next one continues `from`.
+        history: { from: optional(natural) },
+        // Request the recording of the channel: every action ever drawn in it, including those
+        // that have since been cleared. Again, this is sent in pages.
+        recording: { from: optional(natural) },
+        // Draw a series of actions at once.
+        import: { canvas: array(importable) },
+        add_layer: { name: layer_name },
+        // Rename, hide, lock or move a layer (to the given position from the bottom).
+        update_layer: {
+            layer: natural,
+            name: optional(layer_name),
+            hidden: optional(boolean),
+            locked: optional(boolean),
+            index: optional(natural),
+        },
+        // Take a checkpoint of the canvas, list the checkpoints, or replace the canvas with a
+        // checkpoint.
+        checkpoint: { name: checkpoint_name },
+        checkpoints: {},
+        restore: { checkpoint: natural },
+        // Start or stop presenting: the other participants follow the presenter's view.
+        present: { presenting: boolean },
+        // The region of the canvas the presenter is looking at.
+        viewport: { x: finite, y: finite, width: positive, height: positive },
+    };
+
+    // The messages that the server may send to clients.
+    const SERVER_MESSAGES = {
+        channel: {
+            participant: string,
+            session: string,
+            role: one_of(ROLES),
+            // Owners are sent the query strings with which to invite others, for each role.
+            links: nullable(object({ editor: string, viewer: string })),
+            // The snapshot is a set of images of a region of the canvas, given in world coordinates:
+            // one for each layer that has been drawn on.
+            snapshot: nullable(object({
+                images: array(object({ layer: natural, image: string })),
+                x: finite,
+                y: finite,
+                width: positive,
+                height: positive,
+            })),
+            // The actions from before the snapshot was taken that it does not entirely include,
+            // i.e. images and strokes that extend outside its region. The individual actions are
+            // validated as they're drawn.
+            overflow: array(any),
+            canvas: array(any),
+            // The circles that started the strokes in `canvas` that started before the snapshot
+            // (see `expand`).
+            headers: array(any),
+            layers: array(layer),
+        },
+        created: { channel: string, query_string: string },
+        // The invitations to the channel have changed, e.g. because the owner removed somebody who
+        // was invited. This is only sent to owners, with the same links as in `channel`.
+        links: { links: object({ editor: string, viewer: string }) },
+        draw: SERVER_SHAPES,
+        presence: {
+            participants: array(object({ id: string, name: string, colour, role: one_of(ROLES) })),
+            // The participant who is presenting, if anyone is.
+            presenter: nullable(string),
+        },
+        viewport: { x: finite, y: finite, width: positive, height: positive },
+        cursor: { id: string, x: finite, y: finite },
+        // The layers of the channel have changed.
+        layers: { layers: array(layer) },
+        // A page of the history of the canvas since it was last cleared. `next` is where the next
+        // page continues from, or `null` if this is the last. As with `channel`, the individual
+        // actions are validated as they're drawn.
+        history: { canvas: array(any), next: nullable(natural) },
+        // A page of the recording of the channel, in the order the actions were drawn. Again, the
+        // individual actions are validated as they're drawn.
+        recording: { actions: array(any), next: nullable(natural) },
+        // The checkpoints of the canvas, from oldest to newest. This is sent on request, and to
+        // everyone whenever a checkpoint is taken.
+        checkpoints: { checkpoints: array(checkpoint) },
+        error: { code: one_of(ERRORS), message: string },
+    };
+
+    const has = (obj, key) => typeof key === "string" && Object.prototype.hasOwnProperty.call(obj, key);
+
+    const validate_message = (messages, data) => {
+        if (typeof data !== "object" || data === null) {
+            return "Message must be an object.";
+        }
+        if (!has(messages, data.kind)) {
+            return `Unknown message kind: ${JSON.stringify(data.kind)}.`;
+        }
+        let sig = messages[data.kind];
+        if (data.kind === "draw") {
+            if (!has(sig, data.shape)) {
+                return `Unknown shape: ${JSON.stringify(data.shape)}.`;
+            }
+            sig = Object.assign({ shape: any }, sig[data.shape]);
+        }
+        const reason = object(Object.assign({ kind: any }, sig))(data);
+        return reason !== null ? `Message ${reason}.` : null;
+    };
+
+    return {
+        VERSION,
+        TOOLS,
+        FIGURES,
+        EDITS,
+        MAX_LAYERS,
+        MAX_LAYER_NAME_LENGTH,
+        MAX_CHECKPOINT_NAME_LENGTH,
+        DEFAULT_LAYERS,
+        IMPORTABLE_SHAPES,
+        MAX_TEXT_LENGTH,
+        MAX_POINTS,
+        TEXT_LINE_HEIGHT,
+        MAX_COORDINATE,
+        MAX_MESSAGE_SIZE,
+        MAX_IMAGE_SIZE,
+        DRAW_RATE,
+        DRAW_BURST,
+        ROLES,
+        ERRORS,
+        parse_colour,
+        split_opacity,
+        arrowhead,
+        bridge_points,
+        encode_points,
+        decode_points,
+        expand,
+        bounds,
+        apply_edit,
+        resolve,
+        layer_of,
+        update_layers,
+        // Each of these returns `null` if the message is valid, or otherwise a description of why
+        // it was rejected.
+        validate_client_message: (data) => validate_message(CLIENT_MESSAGES, data),
+        validate_server_message: (data) => validate_message(SERVER_MESSAGES, data),
+    };
+})();
+
+if (typeof module !== "undefined") {
+    module.exports = Protocol;
+}
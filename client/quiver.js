@@ -7,26 +7,46 @@ class Client {
         this.ws = null;
         this.delegate = delegate;
         this.offine = false;
-    }
-
-    static validate_data(sig, data) {
-        const properties = new Set(Object.keys(data));
-        for (const [key, validator] of Object.entries(sig)) {
-            if (properties.delete(key)) {
-                if (!validator(data[key])) {
-                    // The data value did not pass the validation test. Reject it.
-                    return false;
-                }
-            } else {
-                // The data did not include a required field. Reject it.
-                return false;
-            }
-        }
-        if (properties.size !== 0) {
-            // The data included fields that were not present in the signature. Reject it.
-            return false;
-        }
-        return true;
+        // While we're loading a canvas snapshot, or playing back the recording of the channel,
+        // messages from the server are deferred, so that they aren't drawn underneath the snapshot
+        // (or in the middle of the recording).
+        this.deferred = null;
+        // The channel we're connected to, and the session token the server gave us when we joined
+        // it, which lets us resume our identity if we have to reconnect.
+        this.channel = null;
+        this.session = null;
+        // Our identifier in the channel, and the name we'd like to be displayed to others.
+        this.id = null;
+        this.name = null;
+        // The invitation token and password with which we join the channel, if any.
+        this.token = null;
+        this.password = null;
+        // Whether we're only here to watch (e.g. a presentation), in which case we join as a
+        // viewer, and send nothing that would be seen by others.
+        this.spectating = false;
+        // The participant who is presenting, if anyone is.
+        this.presenter = null;
+        // Our role in the channel, and (if we're its owner) the query strings with which to invite
+        // others, for each role.
+        this.role = null;
+        this.links = null;
+        // Whether we've joined the channel on the current connection.
+        this.joined = false;
+        // The number of consecutive failed attempts to connect, which determines how long we wait
+        // before trying again.
+        this.attempts = 0;
+        // Drawing messages that we couldn't send because we weren't connected. These are sent once
+        // we've rejoined the channel. At most `Client.MAX_QUEUE_LENGTH` are kept.
+        this.queue = [];
+        // Whether we've given up on connecting to the server, e.g. because it's using a different
+        // version of the protocol.
+        this.stopped = false;
+        // The requests for the canvas's history and for the recording of the channel that we're
+        // waiting on, by kind. The server sends each a page at a time, so we keep the actions
+        // received so far, along with the callbacks to call once we have them all.
+        this.requests = new Map();
+        // The drawing layers of the canvas, from bottom to top.
+        this.layers = Protocol.DEFAULT_LAYERS;
     }
 
     offline_mode() {
@@ -35,34 +55,40 @@ class Client {
     }
 
     connect(channel) {
-        const host = location.origin.replace(/^http/, "ws");
         if (/^[a-z0-9_\-]+$/i.test(channel)) {
-            this.ws = new WebSocket(host);
+            this.channel = channel;
+            this.open();
         } else {
             console.error(`Tried to connect to an invalid channel: #${channel}`);
             this.offline_mode();
-            return;
         }
+    }
+
+    // Open a connection to the server and join the channel.
+    open() {
+        const host = location.origin.replace(/^http/, "ws");
+        this.ws = new WebSocket(host);
 
-        const SECOND = 1000;
         const timeout = setTimeout(() => {
             console.error("WebSocket timed out while attempting to connect to the server.");
             this.ws.close();
-        }, 5 * SECOND);
+        }, 5 * Client.SECOND);
 
         this.ws.addEventListener("open", () => {
             clearTimeout(timeout);
+            this.attempts = 0;
             this.delegate.connect();
-            this.ws.send(JSON.stringify({
-                kind: "join",
-                channel,
-            }));
+            this.join();
         });
 
         this.ws.addEventListener("message", (message) => {
             try {
                 const data = JSON.parse(message.data);
-                this.receive_message(data);
+                if (this.deferred !== null) {
+                    this.deferred.push(data);
+                } else {
+                    this.receive_message(data);
+                }
             } catch (error) {
                 // Received bad message from server. This doesn't necessarily mean the server's
                 // misbehaving (though who's to say it's not?). We might also get errors with faulty
@@ -72,68 +98,382 @@ class Client {
         });
 
         this.ws.addEventListener("close", () => {
+            clearTimeout(timeout);
+            this.joined = false;
+            // We'd have to start any requests we're waiting on from the beginning once we've
+            // reconnected, so we give up on them.
+            for (const { callbacks } of this.requests.values()) {
+                for (const { reject } of callbacks) {
+                    reject(new Error("Disconnected from the server."));
+                }
+            }
+            this.requests.clear();
+            if (this.stopped) {
+                return;
+            }
             this.delegate.disconnect();
-            console.log("WebSocket connection closed.");
+            // Try to reconnect, backing off exponentially (with some jitter, so that clients that
+            // were disconnected at the same time don't all reconnect at the same time).
+            const delay = Math.min(
+                Client.MIN_RECONNECT_DELAY * 2 ** this.attempts,
+                Client.MAX_RECONNECT_DELAY,
+            ) * (0.5 + Math.random() / 2);
+            ++this.attempts;
+            console.log(`WebSocket connection closed. Reconnecting in ${Math.round(delay)} ms.`);
+            setTimeout(() => this.open(), delay);
         });
     }
 
+    join() {
+        const join = {
+            kind: "join",
+            channel: this.channel,
+            version: Protocol.VERSION,
+        };
+        for (const property of ["session", "name", "token", "password"]) {
+            if (this[property] !== null) {
+                join[property] = this[property];
+            }
+        }
+        if (this.spectating) {
+            join.spectate = true;
+        }
+        this.ws.send(JSON.stringify(join));
+    }
+
     receive_message(data) {
         // console.log("Received data:", data);
+        const reason = Protocol.validate_server_message(data);
+        if (reason !== null) {
+            throw new MessageError(reason);
+        }
         switch (data.kind) {
             case "channel":
-                this.delegate.join();
-                const canvas = data.canvas;
-                if (Array.isArray(canvas)) {
-                    for (const action of canvas) {
+                if (this.session !== null && data.session !== this.session) {
+                    // We couldn't resume our session (e.g. because we were disconnected for so
+                    // long that it was forgotten), so we're now a different participant. The
+                    // server can't continue strokes we started as the old one, so we drop what's
+                    // left of those in the queue, and start any stroke we're still drawing afresh.
+                    const started = new Set(this.queue
+                        .filter((data) => data.kind === "draw" && data.shape === "circle")
+                        .map((data) => data.stroke));
+                    this.queue = this.queue.filter((data) => {
+                        return data.kind !== "draw" || data.shape !== "points"
+                            || started.has(data.stroke);
+                    });
+                    this.delegate.restart_stroke();
+                }
+                this.session = data.session;
+                this.id = data.participant;
+                this.role = data.role;
+                this.links = data.links;
+                // The server sends a snapshot of the canvas (if it has taken one), along with any
+                // actions that have been made since. The server's canvas is authoritative, so we
+                // start from scratch. Anything we drew while disconnected is still in the queue,
+                // and is drawn again when the queue is sent.
+                this.delegate.reset();
+                this.layers = data.layers;
+                this.delegate.layers(data.layers);
+                const replay = () => {
+                    this.delegate.join();
+                    for (const action of data.canvas) {
                         this.delegate.draw(action, true);
                     }
-                    return;
+                    this.joined = true;
+                    const queue = this.queue;
+                    this.queue = [];
+                    for (const data of queue) {
+                        this.send_message(data);
+                    }
+                };
+                if (data.snapshot !== null) {
+                    this.defer();
+                    this.delegate.snapshot(data.snapshot, data.overflow, data.headers).catch((error) => {
+                        // We can't do much better than drawing the remaining actions.
+                        console.error("Failed to load the canvas snapshot:", error);
+                    }).then(() => {
+                        replay();
+                        this.resume();
+                    });
                 } else {
-                    // The server sent us malformed channel data.
+                    replay();
                 }
                 return;
             case "draw":
                 this.delegate.draw(data, true);
                 return;
+            case "created":
+                this.delegate.created(data.query_string);
+                return;
+            case "links":
+                this.links = data.links;
+                return;
+            case "presence":
+                this.presenter = data.presenter;
+                this.delegate.presence(data.participants);
+                return;
+            case "viewport":
+                this.delegate.viewport(data);
+                return;
+            case "cursor":
+                this.delegate.cursor(data);
+                return;
+            case "layers":
+                this.layers = data.layers;
+                this.delegate.layers(data.layers);
+                return;
+            case "checkpoints":
+                this.delegate.checkpoints(data.checkpoints);
+                return;
+            case "history":
+                this.receive_page(data.kind, data.canvas, data.next);
+                return;
+            case "recording":
+                this.receive_page(data.kind, data.actions, data.next);
+                return;
+            case "error":
+                if (
+                    ["version", "unknown_channel", "kicked"].includes(data.code)
+                    || data.code === "forbidden" && !this.joined
+                ) {
+                    // There's no point trying to reconnect: it's not going to work any better next
+                    // time.
+                    this.stopped = true;
+                }
+                this.delegate.error(data.code, data.message);
+                return;
         }
         // All valid arms of the switch return early, so if we get here, then something
         // must be wrong with the message data.
         throw new MessageError();
     }
 
+    // Change the name we're displayed to other participants as.
+    rename(name) {
+        this.name = name;
+        if (this.joined && this.ws.readyState === this.ws.OPEN) {
+            this.ws.send(JSON.stringify({ kind: "rename", name }));
+        }
+        // Otherwise, we'll send our new name when we next join.
+    }
+
+    // Ask the server to create a new channel. The delegate is notified (via `created`) once the
+    // channel exists. `options` may specify whether the channel is `private`, and its `password`.
+    create_channel(options = {}) {
+        if (this.ws !== null && this.ws.readyState === this.ws.OPEN) {
+            this.ws.send(JSON.stringify(Object.assign({ kind: "create" }, options)));
+        } else {
+            // We're not connected to the WebSocket server (for instance, because we're in offline
+            // mode), so we fall back to the HTTP endpoint.
+            fetch("/channels", {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify(options),
+            })
+                .then((response) => response.json())
+                .then((data) => this.delegate.created(data.query_string))
+                .catch((error) => console.error("Failed to create a channel:", error));
+        }
+    }
+
+    // Ask the server for the full history of the canvas, returning a promise that resolves to the
+    // list of actions.
+    request_history() {
+        return this.request("history");
+    }
+
+    // Ask the server for the recording of the channel, returning a promise that resolves to the list
+    // of actions, including those that have since been cleared.
+    request_recording() {
+        return this.request("recording");
+    }
+
+    // Ask the server for the history or recording, which it sends in pages (see `receive_page`).
+    request(kind) {
+        if (!this.joined || this.ws.readyState !== this.ws.OPEN) {
+            return Promise.reject(new Error("Not connected to the server."));
+        }
+        return new Promise((resolve, reject) => {
+            if (!this.requests.has(kind)) {
+                this.requests.set(kind, { actions: [], callbacks: [] });
+                this.ws.send(JSON.stringify({ kind }));
+            }
+            this.requests.get(kind).callbacks.push({ resolve, reject });
+        });
+    }
+
+    // Handle a page of the history or recording, asking for the next one if there is one.
+    receive_page(kind, actions, next) {
+        const request = this.requests.get(kind);
+        if (request === undefined) {
+            return;
+        }
+        for (const action of actions) {
+            if (action.kind === "draw" && Protocol.validate_server_message(action) === null) {
+                request.actions.push(action);
+            }
+        }
+        if (next !== null) {
+            this.ws.send(JSON.stringify({ kind, from: next }));
+            return;
+        }
+        this.requests.delete(kind);
+        for (const { resolve } of request.callbacks) {
+            resolve(request.actions);
+        }
+    }
+
+    // Hold on to messages from the server, rather than handling them, until `resume` is called.
+    defer() {
+        if (this.deferred === null) {
+            this.deferred = [];
+        }
+    }
+
+    // Handle the messages from the server that were deferred, and any that arrive from now on.
+    resume() {
+        const deferred = this.deferred || [];
+        this.deferred = null;
+        while (deferred.length > 0) {
+            if (this.deferred !== null) {
+                // One of the messages (e.g. a canvas snapshot) has deferred those after it again.
+                this.deferred = deferred.concat(this.deferred);
+                return;
+            }
+            const data = deferred.shift();
+            try {
+                this.receive_message(data);
+            } catch (error) {
+                console.error(data, error);
+            }
+        }
+    }
+
+    // Draw a series of actions at once (e.g. from a saved board). They're sent in a single message,
+    // so that the server draws either all of them or none. Returns whether they could be drawn,
+    // which they can't if they don't fit in a message.
+    import_actions(actions) {
+        const data = { kind: "import", canvas: actions };
+        if (
+            !this.offline
+                && new TextEncoder().encode(JSON.stringify(data)).length > Protocol.MAX_MESSAGE_SIZE
+        ) {
+            return false;
+        }
+        this.send_message(data);
+        return true;
+    }
+
+    // Change the layers of the canvas, given an `add_layer` or `update_layer` message. The server
+    // lets every participant know about the new layers, including us, but when we're offline, we
+    // have to update them ourselves.
+    update_layers(data) {
+        if (this.offline) {
+            const layers = Protocol.update_layers(this.layers, data);
+            if (layers !== null) {
+                this.layers = layers;
+                this.delegate.layers(layers);
+            }
+        } else {
+            this.send_message(data);
+        }
+    }
+
+    // Ask the server for the checkpoints of the canvas. The delegate is notified (via `checkpoints`)
+    // once they arrive, and whenever they change thereafter.
+    request_checkpoints() {
+        this.send_message({ kind: "checkpoints" });
+    }
+
+    // Take a checkpoint of the canvas, with the given name.
+    take_checkpoint(name) {
+        this.send_message({ kind: "checkpoint", name });
+    }
+
+    // Replace the canvas with a checkpoint, for every participant.
+    restore_checkpoint(checkpoint) {
+        this.send_message({ kind: "restore", checkpoint });
+    }
+
+    // Start or stop presenting.
+    present(presenting) {
+        this.send_message({ kind: "present", presenting });
+    }
+
+    // Ask the server to remove a participant from the channel. Only owners may do this.
+    kick(participant) {
+        this.send_message({ kind: "kick", participant });
+    }
+
     send_message(data) {
+        const drawing = data.kind === "draw" || data.kind === "import";
+        if (drawing && this.role === "viewer") {
+            // Viewers may not draw, so there's no point sending the message (or drawing it
+            // locally).
+            return;
+        }
+        if ((drawing || data.kind === "cursor") && this.spectating) {
+            // Spectators don't draw, nor even show their cursors to others.
+            return;
+        }
         if (!this.offline) {
-            if (this.ws.readyState === this.ws.OPEN) {
+            if (this.joined && this.ws.readyState === this.ws.OPEN) {
                 // console.log("Sent data:", data);
                 this.ws.send(JSON.stringify(data));
-            } else {
-                // We should be able to delay sending messages until the WebSocket is ready,
-                // but for now, we'll simply ignore the message. It should be prevented by
-                // the UI, anyway.
+            } else if (drawing) {
+                if (this.queue.length >= Client.MAX_QUEUE_LENGTH) {
+                    // We've been disconnected for too long to keep drawing, so we drop the message
+                    // rather than drawing something that may never be sent.
+                    console.warn("Dropped a drawing message, as too many are waiting to be sent.");
+                    return;
+                }
+                // We're not connected at the moment, so we hold on to the message until we've
+                // reconnected.
+                this.queue.push(data);
+            } else if (data.kind !== "cursor") {
+                // Cursor positions are ephemeral, so we simply drop them if we're not connected.
                 console.error("WebSocket wasn't ready for data:", data);
             }
         }
-        if (data.kind === "draw") {
+        if (
+            data.kind === "draw" && data.shape !== "undo" && data.shape !== "redo"
+                && !Protocol.EDITS.includes(data.shape)
+        ) {
             // We forward any drawing messages directly to the client, so that we
             // can modify the canvas locally without any delay. The Painter's
             // Algorithm will ensure that we end up with the correct result in the
             // end, because we'll re-draw the data when we receive it from the
-            // server as well.
+            // server as well. Undo and redo are the exception: the server decides
+            // which stroke they apply to, so we have to wait for its response.
+            // Likewise, edits only apply to strokes the server has attributed.
             this.delegate.draw(data, false);
         }
+        if (data.kind === "import") {
+            for (const action of data.canvas) {
+                this.delegate.draw(action, false);
+            }
+        }
     }
 }
 
+Client.SECOND = 1000;
+Client.MIN_RECONNECT_DELAY = 1 * Client.SECOND;
+Client.MAX_RECONNECT_DELAY = 30 * Client.SECOND;
+// The number of drawing messages we hold on to while disconnected (see `Client.queue`). They're all
+// sent at once when we rejoin, so this must be well within the burst the server permits, leaving
+// room for whatever we draw straight afterwards.
+Client.MAX_QUEUE_LENGTH = Protocol.DRAW_BURST / 2;
+
 const SECONDARY_PEN_BUTTON = 1 << 5;
 
 class Canvas {
-    constructor(width, height, background) {
+    constructor(width, height, background, pixel_ratio = Canvas.PIXEL_RATIO) {
         this.element = document.createElement("canvas");
         this.context = this.element.getContext("2d");
-        this.draw = new Draw(this.context);
+        this.draw = new Draw(this.context, pixel_ratio);
         this.background = background;
 
-        const z = Canvas.PIXEL_RATIO;
+        const z = pixel_ratio;
         [this.element.width, this.element.height] = [width * z, height * z];
         [this.element.style.width, this.element.style.height] = [`${width}px`, `${height}px`];
         this.clear();
@@ -150,9 +490,14 @@ class Canvas {
 }
 Canvas.PIXEL_RATIO = window.devicePixelRatio;
 
+// Draws onto a canvas. Shapes are given in world coordinates, which are mapped onto the canvas by
+// the `viewport`: `(x, y)` is the world point at the top-left of the canvas, and `zoom` is the
+// number of CSS pixels per unit of world space.
 class Draw {
-    constructor(context) {
+    constructor(context, pixel_ratio, viewport = { x: 0, y: 0, zoom: 1 }) {
         this.context = context;
+        this.pixel_ratio = pixel_ratio;
+        this.viewport = viewport;
         this._colour = this.context.fillStyle;
 
         this.context.stokeStyle = this._colour;
@@ -166,10 +511,27 @@ class Draw {
         this.context.fillStyle = this.context.strokeStyle = this._colour;
     }
 
+    // Whether shapes erase what's beneath them, rather than being painted over it.
+    get erasing() {
+        return this.context.globalCompositeOperation === "destination-out";
+    }
+    set erasing(erasing) {
+        this.context.globalCompositeOperation = erasing ? "destination-out" : "source-over";
+    }
+
+    // The number of canvas pixels per unit of world space.
+    get scale() {
+        return this.pixel_ratio * this.viewport.zoom;
+    }
+
+    // Convert a point in world coordinates to canvas pixels.
+    point(x, y) {
+        return [(x - this.viewport.x) * this.scale, (y - this.viewport.y) * this.scale];
+    }
+
     circle(x, y, r, fill = true) {
-        const z = Canvas.PIXEL_RATIO;
         this.context.beginPath();
-        this.context.arc(x * z, y * z, r * z, 0, 2 * Math.PI, false);
+        this.context.arc(...this.point(x, y), r * this.scale, 0, 2 * Math.PI, false);
         if (fill) {
             this.context.fill();
         } else {
@@ -179,47 +541,328 @@ class Draw {
 
     // Smoothly connect two circles by computing their outer tangent lines.
     connect_circles(x0, y0, r0, x1, y1, r1) {
-        const z = Canvas.PIXEL_RATIO;
-
         if (r0 === r1) {
             this.context.beginPath();
-            this.context.moveTo(x0 * z, y0 * z);
-            this.context.lineTo(x1 * z, y1 * z);
-            this.context.lineWidth = 2 * r0 * z;
+            this.context.moveTo(...this.point(x0, y0));
+            this.context.lineTo(...this.point(x1, y1));
+            this.context.lineWidth = 2 * r0 * this.scale;
             this.context.stroke();
         } else {
-            if (r0 < r1) {
-                [x0, y0, r0, x1, y1, r1] = [x1, y1, r1, x0, y0, r0];
-            }
+            this.context.beginPath();
+            Draw.tangent_polygon(x0, y0, r0, x1, y1, r1)
+                .map(([x, y]) => this.context.lineTo(...this.point(x, y)));
+            this.context.closePath();
+            this.context.fill();
+        }
+    }
+
+    // The polygon bounded by the outer tangent lines of two circles with different radii.
+    static tangent_polygon(x0, y0, r0, x1, y1, r1) {
+        if (r0 < r1) {
+            [x0, y0, r0, x1, y1, r1] = [x1, y1, r1, x0, y0, r0];
+        }
 
-            const xp = (x1 * r0 - x0 * r1) / (r0 - r1);
-            const yp = (y1 * r0 - y0 * r1) / (r0 - r1);
+        const xp = (x1 * r0 - x0 * r1) / (r0 - r1);
+        const yp = (y1 * r0 - y0 * r1) / (r0 - r1);
 
-            const tangent_coord = (a, ap, b, bp, r, s) => {
-                return a + (r ** 2 * (ap - a) + s * r * (bp - b) * Math.sqrt((ap - a) ** 2 + (bp - b) ** 2 - r ** 2)) / ((ap - a) ** 2 + (bp - b) ** 2);
-            };
-            const tangent_point = (x, y, r, s) => {
-                return [tangent_coord(x, xp, y, yp, r, s), tangent_coord(y, yp, x, xp, r, -s)];
-            };
-            const tangent_triple = (x, y, r) => {
-                return [tangent_point(x, y, r, 1), [x, y], tangent_point(x, y, r, -1)];
-            };
+        const tangent_coord = (a, ap, b, bp, r, s) => {
+            return a + (r ** 2 * (ap - a) + s * r * (bp - b) * Math.sqrt((ap - a) ** 2 + (bp - b) ** 2 - r ** 2)) / ((ap - a) ** 2 + (bp - b) ** 2);
+        };
+        const tangent_point = (x, y, r, s) => {
+            return [tangent_coord(x, xp, y, yp, r, s), tangent_coord(y, yp, x, xp, r, -s)];
+        };
+        const tangent_triple = (x, y, r) => {
+            return [tangent_point(x, y, r, 1), [x, y], tangent_point(x, y, r, -1)];
+        };
 
-            this.context.beginPath();
-            tangent_triple(x0, y0, r0).map(([x, y]) => this.context.lineTo(x * z, y * z));
-            tangent_triple(x1, y1, r1).reverse().map(([x, y]) => this.context.lineTo(x * z, y * z));
-            this.context.closePath();
+        return tangent_triple(x0, y0, r0).concat(tangent_triple(x1, y1, r1).reverse());
+    }
+
+    // Stroke a straight line of the given width, with round ends if `round` is true.
+    line(x0, y0, x1, y1, width, round = true) {
+        this.context.beginPath();
+        this.context.moveTo(...this.point(x0, y0));
+        this.context.lineTo(...this.point(x1, y1));
+        this.context.lineCap = round ? "round" : "butt";
+        this.context.lineWidth = width * this.scale;
+        this.context.stroke();
+        this.context.lineCap = "butt";
+    }
+
+    // Fill the current path if `width` is `null`, or otherwise stroke it with the given width.
+    paint(width) {
+        if (width === null) {
             this.context.fill();
+        } else {
+            this.context.lineJoin = "round";
+            this.context.lineWidth = width * this.scale;
+            this.context.stroke();
+            this.context.lineJoin = "miter";
         }
     }
 
+    rectangle(x, y, w, h, width = null) {
+        this.context.beginPath();
+        this.context.rect(...this.point(x, y), w * this.scale, h * this.scale);
+        this.paint(width);
+    }
+
+    ellipse(cx, cy, rx, ry, width = null) {
+        this.context.beginPath();
+        this.context.ellipse(...this.point(cx, cy), rx * this.scale, ry * this.scale, 0, 0, 2 * Math.PI);
+        this.paint(width);
+    }
+
+    polygon(points) {
+        this.context.beginPath();
+        points.map(([x, y]) => this.context.lineTo(...this.point(x, y)));
+        this.context.closePath();
+        this.context.fill();
+    }
+
+    text(x, y, text, size) {
+        this.context.font = `${size * this.scale}px sans-serif`;
+        this.context.fillText(text, ...this.point(x, y));
+    }
+
+    image(image, x, y, width, height) {
+        this.context.drawImage(
+            image, ...this.point(x, y), width * this.scale, height * this.scale,
+        );
+    }
+
     gradient(x0, y0, c0, x1, y1, c1) {
-        const z = Canvas.PIXEL_RATIO;
-        const grad = this.context.createLinearGradient(x0 * z, y0 * z, x1 * z, y1 * z);
+        const grad = this.context.createLinearGradient(...this.point(x0, y0), ...this.point(x1, y1));
         grad.addColorStop(0, c0);
         grad.addColorStop(1, c1);
         return grad;
     }
+
+    // Returns a new, empty layer with the same size and viewport, which may later be composited
+    // onto this one.
+    layer() {
+        const element = document.createElement("canvas");
+        [element.width, element.height] = [this.context.canvas.width, this.context.canvas.height];
+        return new Draw(element.getContext("2d"), this.pixel_ratio, this.viewport);
+    }
+
+    composite(layer, alpha) {
+        this.context.save();
+        this.context.globalAlpha = alpha;
+        this.context.drawImage(layer.context.canvas, 0, 0);
+        this.context.restore();
+    }
+}
+
+// Draws onto an SVG document rather than a canvas, with the same interface as `Draw`, so that
+// drawings may be exported as vector graphics.
+class SVGDraw {
+    // The document shows the region of world space of size `width` by `height` whose top-left
+    // corner is `(x, y)`.
+    constructor(width, height, background, x = 0, y = 0) {
+        this.width = width;
+        this.height = height;
+        [this.x, this.y] = [x, y];
+        this.colour = "black";
+        this.background = background;
+        this.definitions = [];
+        this.elements = [];
+        // Shapes drawn while `erasing` is set erase what's beneath them. SVG has no way to do so
+        // directly, so consecutive erasing shapes are collected in `erasure`, and then used to
+        // mask everything drawn before them.
+        this.erasing = false;
+        this.erasure = [];
+    }
+
+    push(element) {
+        if (this.erasing) {
+            this.erasure.push(element);
+        } else {
+            this.mask();
+            this.elements.push(element);
+        }
+    }
+
+    // Mask everything drawn so far with the shapes that have been erased since.
+    mask() {
+        if (this.erasure.length === 0) {
+            return;
+        }
+        const id = `erasure-${this.definitions.length}`;
+        const region = `x="${this.x}" y="${this.y}" width="${this.width}" height="${this.height}"`;
+        this.definitions.push(
+            `<mask id="${id}" maskUnits="userSpaceOnUse" ${region}>`
+                + `<rect ${region} fill="white"/>${this.erasure.join("")}</mask>`,
+        );
+        this.elements = [`<g mask="url(#${id})">${this.elements.join("")}</g>`];
+        this.erasure = [];
+    }
+
+    static escape(value) {
+        return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/"/g, "&quot;");
+    }
+
+    circle(x, y, r, fill = true) {
+        const paint = fill
+            ? `fill="${SVGDraw.escape(this.colour)}"`
+            : `fill="none" stroke="${SVGDraw.escape(this.colour)}"`;
+        this.push(`<circle cx="${x}" cy="${y}" r="${r}" ${paint}/>`);
+    }
+
+    connect_circles(x0, y0, r0, x1, y1, r1) {
+        const colour = SVGDraw.escape(this.colour);
+        if (r0 === r1) {
+            this.push(
+                `<line x1="${x0}" y1="${y0}" x2="${x1}" y2="${y1}" stroke="${colour}" stroke-width="${2 * r0}"/>`,
+            );
+        } else {
+            const points = Draw.tangent_polygon(x0, y0, r0, x1, y1, r1);
+            if (points.every(([x, y]) => Number.isFinite(x) && Number.isFinite(y))) {
+                const list = points.map(([x, y]) => `${x},${y}`).join(" ");
+                this.push(`<polygon points="${list}" fill="${colour}"/>`);
+            }
+        }
+    }
+
+    line(x0, y0, x1, y1, width, round = true) {
+        const colour = SVGDraw.escape(this.colour);
+        this.push(
+            `<line x1="${x0}" y1="${y0}" x2="${x1}" y2="${y1}" stroke="${colour}" stroke-width="${width}" stroke-linecap="${round ? "round" : "butt"}"/>`,
+        );
+    }
+
+    // The attributes with which to fill a shape if `width` is `null`, or otherwise to stroke it.
+    paint(width) {
+        const colour = SVGDraw.escape(this.colour);
+        if (width === null) {
+            return `fill="${colour}"`;
+        }
+        return `fill="none" stroke="${colour}" stroke-width="${width}" stroke-linejoin="round"`;
+    }
+
+    rectangle(x, y, w, h, width = null) {
+        this.push(`<rect x="${x}" y="${y}" width="${w}" height="${h}" ${this.paint(width)}/>`);
+    }
+
+    ellipse(cx, cy, rx, ry, width = null) {
+        this.push(
+            `<ellipse cx="${cx}" cy="${cy}" rx="${rx}" ry="${ry}" ${this.paint(width)}/>`,
+        );
+    }
+
+    polygon(points) {
+        const list = points.map(([x, y]) => `${x},${y}`).join(" ");
+        this.push(`<polygon points="${list}" fill="${SVGDraw.escape(this.colour)}"/>`);
+    }
+
+    text(x, y, text, size) {
+        const colour = SVGDraw.escape(this.colour);
+        this.push(
+            `<text x="${x}" y="${y}" font-family="sans-serif" font-size="${size}" fill="${colour}">${SVGDraw.escape(text)}</text>`,
+        );
+    }
+
+    image(image, x, y, width, height) {
+        this.push(
+            `<image href="${SVGDraw.escape(image.src)}" x="${x}" y="${y}" width="${width}" height="${height}" preserveAspectRatio="none"/>`,
+        );
+    }
+
+    gradient(x0, y0, c0, x1, y1, c1) {
+        const id = `gradient-${this.definitions.length}`;
+        this.definitions.push(
+            `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${x0}" y1="${y0}" x2="${x1}" y2="${y1}">`
+                + `<stop offset="0" stop-color="${SVGDraw.escape(c0)}"/>`
+                + `<stop offset="1" stop-color="${SVGDraw.escape(c1)}"/>`
+                + "</linearGradient>",
+        );
+        return `url(#${id})`;
+    }
+
+    layer() {
+        const layer = new SVGDraw(this.width, this.height, null, this.x, this.y);
+        // Layers share definitions, so that their identifiers are unique.
+        layer.definitions = this.definitions;
+        return layer;
+    }
+
+    composite(layer, alpha) {
+        layer.mask();
+        this.push(`<g opacity="${alpha}">${layer.elements.join("")}</g>`);
+    }
+
+    serialise() {
+        this.mask();
+        const [x, y] = [this.x, this.y];
+        const background = this.background !== null
+            ? `<rect x="${x}" y="${y}" width="100%" height="100%" fill="${SVGDraw.escape(this.background)}"/>`
+            : "";
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="${this.x} ${this.y} ${this.width} ${this.height}">`,
+            `<defs>${this.definitions.join("")}</defs>`,
+            background,
+            ...this.elements,
+            "</svg>",
+        ].join("\n");
+    }
+}
+
+// Draws actions in order onto `draw` (a `Draw` or `SVGDraw`) using `draw_action`, compositing each
+// translucent stroke as a whole (see `Protocol.split_opacity`). Each translucent stroke is drawn on
+// its own layer, which is composited onto `draw` once its author starts another stroke. The server
+// rasterises the canvas in the same way.
+class Compositor {
+    constructor(draw, draw_action) {
+        this.draw = draw;
+        this.draw_action = draw_action;
+        // The translucent strokes that are still being drawn, by author, each of the form
+        // `{ stroke, alpha, layer }`.
+        this.layers = new Map();
+    }
+
+    // Draw an action. Returns whether the open layers changed, and so need to be redrawn.
+    add(action, author) {
+        const layer = this.layers.get(author);
+        let changed = false;
+        if (layer !== undefined && layer.stroke !== action.stroke) {
+            this.flatten(author);
+            changed = true;
+        }
+        const [opaque, alpha] = Protocol.split_opacity(action);
+        if (alpha < 1) {
+            if (!this.layers.has(author)) {
+                this.layers.set(author, { stroke: action.stroke, alpha, layer: this.draw.layer() });
+            }
+            this.layers.get(author).alpha = alpha;
+            this.draw_action(opaque, this.layers.get(author).layer);
+            return true;
+        }
+        this.draw_action(action, this.draw);
+        return changed;
+    }
+
+    flatten(author) {
+        const { alpha, layer } = this.layers.get(author);
+        this.draw.composite(layer, alpha);
+        this.layers.delete(author);
+    }
+
+    flatten_all() {
+        for (const author of Array.from(this.layers.keys())) {
+            this.flatten(author);
+        }
+    }
+
+    // Draw the open layers onto `draw` (which is usually a layer above `this.draw`).
+    draw_layers(draw) {
+        for (const { alpha, layer } of this.layers.values()) {
+            draw.composite(layer, alpha);
+        }
+    }
+
+    clear() {
+        this.layers = new Map();
+    }
 }
 
 // A container for pointer state (see `Pen`).
@@ -234,11 +877,13 @@ class PenState {
         this.pointerType = pointerType;
     }
 
-    static from_event(event, element) {
+    // Returns the state of the pointer, in world coordinates, given the `viewport` of the element
+    // (see `Draw`).
+    static from_event(event, element, viewport) {
         const rect = element.getBoundingClientRect();
         return new PenState(
-            event.pageX - window.scrollX - rect.left,
-            event.pageY - window.scrollY - rect.top,
+            viewport.x + (event.pageX - window.scrollX - rect.left) / viewport.zoom,
+            viewport.y + (event.pageY - window.scrollY - rect.top) / viewport.zoom,
             event.pressure,
             event.pointerType,
         );
@@ -250,10 +895,21 @@ class PenState {
             y: this.y,
             tool: this.tool,
             colour: this.colour,
-            radius: this.pressure * this.stroke_radius,
+            radius: this.curved_pressure() * this.stroke_radius,
         };
     }
+
+    // The pressure of the pen, adjusted by the pressure curve. Pressure is raised to the power of
+    // `PenState.pressure_curve`, so that values greater than 1 mean pressing harder for the same
+    // width, and values less than 1 mean pressing more lightly. Mice (and many touch screens)
+    // report a fixed pressure, to which we don't apply the curve, so that their strokes always
+    // have the same width.
+    curved_pressure() {
+        return this.pointerType === "pen" ? this.pressure ** PenState.pressure_curve : this.pressure;
+    }
 }
+// The pressure curve is remembered between visits (see `curved_pressure`).
+PenState.pressure_curve = parseFloat(window.localStorage.getItem("pressure_curve")) || 1;
 
 // A class for recording the state of the pointer (position, pressure
 // and colour) at a given point in time. Useful for interpolation.
@@ -261,19 +917,96 @@ class Pen {
     constructor() {
         this.state = null;
         this.held = false;
+        // The identifier of the current stroke, which groups together the actions from pressing
+        // the pointer down to lifting it up, and the tool and colour of the pen at its start, which
+        // are those of the whole stroke.
+        this.stroke = null;
+        this.start_state = null;
+        // The states of the pen along the current stroke that haven't been sent yet, preceded by
+        // the last three that have, which are needed to continue its curve (see
+        // `Protocol.expand`).
+        this.points = [];
+    }
+
+    // Start a stroke at the current state of the pen.
+    start(stroke) {
+        this.held = true;
+        this.stroke = stroke;
+        this.start_state = { tool: this.state.tool, colour: this.state.colour };
+        // The first point is repeated, so that the curve of the stroke starts there.
+        this.points = [this.state, this.state];
+    }
+
+    // Whether the pen may continue the current stroke in the state `now`: strokes have the same
+    // tool and colour throughout.
+    continues(now) {
+        return now.tool === this.start_state.tool && now.colour === this.start_state.colour;
+    }
+
+    advance(now) {
+        this.points.push(now);
+    }
+
+    // Whether we've collected as many points as may be sent at once.
+    get full() {
+        return this.points.length >= Protocol.MAX_POINTS;
+    }
+
+    // Returns the encoded points that haven't been sent yet, or `null` if there aren't enough to
+    // draw anything.
+    unsent() {
+        if (this.points.length < 4) {
+            return null;
+        }
+        return Protocol.encode_points(this.points.map((state) => {
+            const { x, y, radius } = state.as_message();
+            return { x, y, radius };
+        }));
+    }
+
+    // Returns the encoded points to send, if there are any, and forgets them.
+    flush() {
+        const points = this.unsent();
+        if (points !== null) {
+            this.points = this.points.slice(-3);
+        }
+        return points;
+    }
+
+    // Finish the current stroke, returning the last of its points to send, if there are any.
+    finish() {
+        const held = this.held;
+        this.held = false;
+        // If the stroke was interrupted (e.g. by a gesture), then there's nothing left to draw.
+        let points = null;
+        if (held) {
+            // The last point is repeated, so that the curve of the stroke ends there.
+            this.points.push(this.points[this.points.length - 1]);
+            points = this.flush();
+        }
+        this.points = [];
+        return points;
     }
 
+    // Whether `now` differs from the last state of the pen in the current stroke.
     changed(now) {
+        const last = this.points[this.points.length - 1];
         return (
-            now.x !== this.state.x ||
-            now.y !== this.state.y ||
-            now.tool !== this.state.tool ||
-            now.pressure !== this.state.pressure ||
-            now.colour !== this.state.colour ||
-            now.stroke_radius !== this.state.stroke_radius
+            now.x !== last.x ||
+            now.y !== last.y ||
+            now.tool !== last.tool ||
+            now.pressure !== last.pressure ||
+            now.colour !== last.colour ||
+            now.stroke_radius !== last.stroke_radius
         );
     }
 }
+// The minimum distance, in pixels, between the intermediate states of the pen that we draw (see
+// `getCoalescedEvents`), so that fast pens don't send more points than they need to.
+Pen.MIN_SPACING = 2;
+// Points are sent in batches, at most every `BATCH_INTERVAL` milliseconds (unless there are too
+// many to wait).
+Pen.BATCH_INTERVAL = 40;
 
 // An action that can be triggered by a button.
 class Action {
@@ -302,8 +1035,7 @@ class Tool extends Action {
                 // If we select the tool while holding the pen button,
                 // then we're going to toggle the tool *without affecting*
                 // the currently-selected tools. This means we can have
-                // multiple tools active at once. This is useful for
-                // colour blending, for example.
+                // multiple tools active at once.
                 this.active = !this.active;
             } else {
                 // If we just select the tool (without holding anything),
@@ -324,11 +1056,7 @@ class Tool extends Action {
             }
         });
 
-        this.hue = null;
         Object.assign(this, properties);
-        if (this.hue !== null) {
-            this.element.style.setProperty("--active-colour", `hsl(${this.hue}, 75%, 50%)`);
-        }
     }
 
     get active() {
@@ -345,27 +1073,691 @@ class Tool extends Action {
     }
 }
 
+// A panel for choosing the colour to draw with, either by its RGB value, or by its hue, saturation,
+// lightness and opacity. The user may also save colours to their palette, and pick from the colours
+// they've used recently, both of which are remembered between visits.
+class ColourPicker {
+    constructor() {
+        // We store the colour as HSLA, so that adjusting one component doesn't affect the others
+        // (as would happen to the hue when desaturating, if we stored it as RGB).
+        [this.hue, this.saturation, this.lightness, this.opacity] = [0, 0, 0, 1];
+        this.palette = ColourPicker.load("palette");
+        this.recent = ColourPicker.load("recent_colours");
+        // Called whenever the colour changes.
+        this.onchange = () => {};
+
+        this.element = document.createElement("div");
+        this.element.classList.add("colour_picker", "hidden");
+
+        const row = (name, input) => {
+            const label = document.createElement("label");
+            label.appendChild(document.createTextNode(name));
+            label.appendChild(input);
+            this.element.appendChild(label);
+        };
+
+        this.preview = document.createElement("div");
+        this.preview.classList.add("swatch");
+        this.element.appendChild(this.preview);
+
+        this.rgb = document.createElement("input");
+        this.rgb.type = "color";
+        this.rgb.addEventListener("input", () => {
+            // Colour inputs don't support opacity, so we keep our own.
+            const opacity = this.opacity;
+            this.colour = this.rgb.value;
+            this.opacity = opacity;
+            this.update();
+        });
+        row("RGB", this.rgb);
+
+        this.sliders = {};
+        for (const [property, name, max] of [
+            ["hue", "Hue", 360],
+            ["saturation", "Saturation", 100],
+            ["lightness", "Lightness", 100],
+            ["opacity", "Opacity", 100],
+        ]) {
+            const slider = document.createElement("input");
+            slider.type = "range";
+            [slider.min, slider.max] = [0, max];
+            slider.addEventListener("input", () => {
+                const value = parseFloat(slider.value);
+                this[property] = property === "opacity" ? value / 100 : value;
+                this.update();
+            });
+            this.sliders[property] = slider;
+            row(name, slider);
+        }
+
+        const save = document.createElement("button");
+        save.appendChild(document.createTextNode("Save to palette"));
+        save.addEventListener("click", () => {
+            if (!this.palette.includes(this.colour)) {
+                this.palette.push(this.colour);
+                ColourPicker.save("palette", this.palette);
+                this.update();
+            }
+        });
+        this.element.appendChild(save);
+
+        // Colours may be removed from the palette by right-clicking them.
+        this.palette_element = document.createElement("div");
+        this.palette_element.title = "Palette";
+        this.element.appendChild(this.palette_element);
+        this.recent_element = document.createElement("div");
+        this.recent_element.title = "Recently used";
+        this.element.appendChild(this.recent_element);
+
+        this.update();
+    }
+
+    // Returns a list of colours saved in local storage.
+    static load(key) {
+        try {
+            const colours = JSON.parse(window.localStorage.getItem(key));
+            if (Array.isArray(colours)) {
+                return colours.filter((colour) => Protocol.parse_colour(colour) !== null);
+            }
+        } catch (_) {
+            // We ignore malformed settings, which will be overwritten soon enough.
+        }
+        return [];
+    }
+
+    static save(key, colours) {
+        window.localStorage.setItem(key, JSON.stringify(colours));
+    }
+
+    get colour() {
+        const round = (x) => Math.round(x * 100) / 100;
+        const [h, s, l, a] = [this.hue, this.saturation, this.lightness, this.opacity].map(round);
+        return `hsla(${h}, ${s}%, ${l}%, ${a})`;
+    }
+    set colour(colour) {
+        const [r, g, b, a] = Protocol.parse_colour(colour).map((c) => c / 255);
+        // The standard RGB to HSL conversion.
+        const [max, min] = [Math.max(r, g, b), Math.min(r, g, b)];
+        const l = (max + min) / 2;
+        const d = max - min;
+        if (d !== 0) {
+            this.saturation = d / (1 - Math.abs(2 * l - 1)) * 100;
+            let h;
+            switch (max) {
+                case r:
+                    h = ((g - b) / d + 6) % 6;
+                    break;
+                case g:
+                    h = (b - r) / d + 2;
+                    break;
+                default:
+                    h = (r - g) / d + 4;
+                    break;
+            }
+            this.hue = h * 60;
+        } else {
+            // Greys have no hue, so we keep the current one.
+            this.saturation = 0;
+        }
+        this.lightness = l * 100;
+        this.opacity = a;
+        this.update();
+    }
+
+    // Remember that the current colour has been used, so that it's listed in the recent colours.
+    use() {
+        const colour = this.colour;
+        this.recent = [colour].concat(this.recent.filter((c) => c !== colour))
+            .slice(0, ColourPicker.MAX_RECENT_COLOURS);
+        ColourPicker.save("recent_colours", this.recent);
+        this.update();
+    }
+
+    // Update the inputs and swatches to reflect the current colour.
+    update() {
+        const colour = this.colour;
+        this.preview.style.setProperty("--swatch-colour", colour);
+        const [r, g, b] = Protocol.parse_colour(colour);
+        this.rgb.value = `#${[r, g, b].map((c) => c.toString(16).padStart(2, "0")).join("")}`;
+        this.sliders.hue.value = this.hue;
+        this.sliders.saturation.value = this.saturation;
+        this.sliders.lightness.value = this.lightness;
+        this.sliders.opacity.value = this.opacity * 100;
+
+        const swatches = (element, colours, remove = null) => {
+            element.textContent = "";
+            for (const colour of colours) {
+                const swatch = document.createElement("button");
+                swatch.classList.add("swatch");
+                swatch.style.setProperty("--swatch-colour", colour);
+                swatch.title = colour;
+                swatch.addEventListener("click", () => this.colour = colour);
+                if (remove !== null) {
+                    swatch.addEventListener("contextmenu", (event) => {
+                        event.preventDefault();
+                        remove(colour);
+                    });
+                }
+                element.appendChild(swatch);
+            }
+        };
+        swatches(this.palette_element, this.palette, (colour) => {
+            this.palette = this.palette.filter((c) => c !== colour);
+            ColourPicker.save("palette", this.palette);
+            this.update();
+        });
+        swatches(this.recent_element, this.recent);
+
+        this.onchange();
+    }
+}
+ColourPicker.MAX_RECENT_COLOURS = 8;
+
 document.addEventListener("DOMContentLoaded", () => {
     const connecting_overlay = document.createElement("div");
     connecting_overlay.classList.add("overlay");
     connecting_overlay.dataset.descr = "Connecting...";
     document.body.appendChild(connecting_overlay);
 
+    // The size of the view onto the canvas, which itself is unbounded.
     const [width, height] = [1024, 640];
+    // The region of the canvas that is currently visible (see `Draw`), shared by each layer.
+    const viewport = { x: 0, y: 0, zoom: 1 };
+
+    // The canvas shows the background and images. Strokes are drawn above it, on the canvases of
+    // their layers (see `layer_canvases`), so that erasing them doesn't erase the background or
+    // images.
     const canvas = new Canvas(width, height, "white");
+    canvas.draw.viewport = viewport;
     document.body.appendChild(canvas.element);
 
+    // Text is drawn above everything else, so it has its own layer.
+    const text_layer = new Canvas(width, height, null);
+    text_layer.draw.viewport = viewport;
+    text_layer.element.classList.add("noninteractive");
+    document.body.appendChild(text_layer.element);
+
+    // The strokes that are selected with the select tool are outlined on their own layer.
+    const selection_layer = new Canvas(width, height, null);
+    selection_layer.draw.viewport = viewport;
+    selection_layer.element.classList.add("noninteractive");
+    document.body.appendChild(selection_layer.element);
+
+    // The cursors of the other participants in the channel.
+    const cursor_layer = new Canvas(width, height, null);
+    cursor_layer.draw.viewport = viewport;
+    cursor_layer.element.classList.add("noninteractive");
+    document.body.appendChild(cursor_layer.element);
+
     const brush_layer = new Canvas(width, height, null);
-    brush_layer.element.classList.add("noninteractive");
+    brush_layer.draw.viewport = viewport;
+    brush_layer.element.classList.add("noninteractive", "brush");
     document.body.appendChild(brush_layer.element);
 
     const status_indicator = document.createElement("div");
     status_indicator.classList.add("status");
     document.body.appendChild(status_indicator);
 
+    // Errors reported by the server are displayed underneath the status for a few seconds.
+    let error_timeout = null;
+    const show_error = (message) => {
+        status_indicator.dataset.error = message;
+        clearTimeout(error_timeout);
+        error_timeout = setTimeout(() => {
+            delete status_indicator.dataset.error;
+        }, 5 * Client.SECOND);
+    };
+
+    const presence_list = document.createElement("div");
+    presence_list.classList.add("presence");
+    document.body.appendChild(presence_list);
+
+    // The other participants in the channel, with their names and colours, and their cursor
+    // positions (if we know them).
+    let participants = new Map();
+
+    // The participant who is presenting, if anyone is, and the region of the canvas they're
+    // looking at, if we know it. Unless we're the presenter, we follow their view (and only show
+    // their cursor) until we pan or zoom ourselves.
+    let presenter = null;
+    let presented_view = null;
+    let following = true;
+    const is_following = () => following && presenter !== null && presenter !== client.id;
+
+    // The drawing layers of the canvas, from bottom to top (see `Protocol.update_layers`), and the
+    // one we're drawing on.
+    let layers = Protocol.DEFAULT_LAYERS;
+    let current_layer = layers[0].id;
+
+    // Each drawing layer has a canvas for its strokes, and one for its translucent strokes that
+    // are still being drawn (see `Compositor`), which sit between the canvas and the text layer.
+    // These are keyed by layer, and created when first needed.
+    const layer_canvases = new Map();
+    const layer_canvas = (id) => {
+        if (!layer_canvases.has(id)) {
+            const strokes = new Canvas(width, height, null);
+            strokes.draw.viewport = viewport;
+            const translucent = new Canvas(width, height, null);
+            for (const element of [strokes.element, translucent.element]) {
+                element.classList.add("noninteractive");
+                document.body.insertBefore(element, text_layer.element);
+            }
+            const compositor = new Compositor(strokes.draw, draw_action);
+            layer_canvases.set(id, { strokes, translucent, compositor });
+        }
+        return layer_canvases.get(id);
+    };
+    // Order the canvases of the layers to match `layers`, and hide those of hidden layers.
+    const arrange_layers = () => {
+        for (const layer of layers) {
+            const { strokes, translucent } = layer_canvas(layer.id);
+            for (const element of [strokes.element, translucent.element]) {
+                element.style.visibility = layer.hidden ? "hidden" : "";
+                document.body.insertBefore(element, text_layer.element);
+            }
+        }
+    };
+    const visible_layers = () => new Set(layers.filter((layer) => !layer.hidden).map((layer) => layer.id));
+    const clear_layers = () => {
+        for (const { strokes } of layer_canvases.values()) {
+            strokes.clear();
+        }
+    };
+
+    const draw_cursors = () => {
+        cursor_layer.clear();
+        for (const [id, participant] of participants) {
+            if (participant.cursor !== null && (!is_following() || id === presenter)) {
+                const [x, y] = participant.cursor;
+                // Cursors are the same size, however far we've zoomed in.
+                const z = viewport.zoom;
+                cursor_layer.draw.colour = participant.colour;
+                cursor_layer.draw.circle(x, y, 4 / z);
+                cursor_layer.draw.text(x + 8 / z, y + 16 / z, participant.name, 12 / z);
+            }
+        }
+    };
+
+    // The actions we've received from the server since joining (or since the canvas was last
+    // cleared), drawn on top of the snapshot we were sent, if any. We need these to redraw the
+    // canvas when a stroke is undone or redone.
+    let canvas_history = [];
+    // The snapshot is of the form `{ images, x, y, width, height }`, where `images` maps each layer
+    // to an image of its strokes, and the latter describe the region of the canvas it covers. The
+    // actions from before the snapshot that it doesn't entirely include (i.e. images, and strokes
+    // that extend outside its region) are drawn beneath it.
+    let canvas_snapshot = null;
+    let canvas_overflow = [];
+    // The circles that started the strokes that are continued after the snapshot (see
+    // `Protocol.expand`), and the latest circle of each stroke we've drawn, which we need to draw
+    // the points that continue it.
+    let canvas_headers = [];
+    let stroke_headers = new Map();
+
+    // The recording of the channel that we're playing back, if any, in place of the canvas. It has
+    // the form `{ actions, moments, index, position, speed, playing, frame, request, live }`, where
+    // `moments` are the times (in milliseconds from the start of the recording) at which each action
+    // is played, `index` is the number of actions that have been played so far, `position` is the
+    // current time in the recording, `frame` and `request` keep track of animation frames, and
+    // `live` holds the state of the canvas to return to once we're done.
+    let playback = null;
+
+    // The checkpoints of the canvas, from oldest to newest, which we fetch when they're first shown.
+    let checkpoints = [];
+
+    // The images that have been drawn on the canvas, by URL. Each has an `element`, whether it is
+    // `ready` to be drawn, and a promise that resolves once it has loaded (or failed to).
+    let images = new Map();
+
+    // Returns the image with the URL `src`, loading it if necessary. Images are drawn as soon as
+    // they're ready, so that we don't hold up drawing the rest of the canvas.
+    const load_image = (src) => {
+        if (!images.has(src)) {
+            const element = new Image();
+            const image = { element, ready: false };
+            image.loaded = new Promise((resolve) => {
+                element.addEventListener("load", () => {
+                    image.ready = true;
+                    resolve();
+                    if (images.get(src) === image) {
+                        redraw();
+                    }
+                });
+                element.addEventListener("error", (error) => {
+                    console.error("Failed to load an image:", error);
+                    resolve();
+                });
+            });
+            element.src = src;
+            images.set(src, image);
+        }
+        return images.get(src);
+    };
+
+    // Draw a figure (see `Protocol.FIGURES`) onto `draw`.
+    const draw_figure = (data, draw) => {
+        const [x0, y0] = [Math.min(data.from.x, data.to.x), Math.min(data.from.y, data.to.y)];
+        const [x1, y1] = [Math.max(data.from.x, data.to.x), Math.max(data.from.y, data.to.y)];
+        switch (data.shape) {
+            case "line":
+                draw.colour = data.colour;
+                draw.line(data.from.x, data.from.y, data.to.x, data.to.y, data.width);
+                break;
+            case "arrow":
+                // The shaft ends where the head begins, so that they don't overlap (which would
+                // show if the colour were translucent).
+                const head = Protocol.arrowhead(
+                    data.from.x, data.from.y, data.to.x, data.to.y, data.width,
+                );
+                draw.colour = data.colour;
+                draw.polygon(head.points);
+                draw.line(data.from.x, data.from.y, ...head.base, data.width, false);
+                break;
+            case "rectangle":
+                if (data.fill !== null) {
+                    draw.colour = data.fill;
+                    draw.rectangle(x0, y0, x1 - x0, y1 - y0);
+                }
+                draw.colour = data.colour;
+                draw.rectangle(x0, y0, x1 - x0, y1 - y0, data.width);
+                break;
+            case "ellipse":
+                const [cx, cy, rx, ry] = [(x0 + x1) / 2, (y0 + y1) / 2, (x1 - x0) / 2, (y1 - y0) / 2];
+                if (data.fill !== null) {
+                    draw.colour = data.fill;
+                    draw.ellipse(cx, cy, rx, ry);
+                }
+                draw.colour = data.colour;
+                draw.ellipse(cx, cy, rx, ry, data.width);
+                break;
+        }
+    };
+
+    // Draw an action onto `draw`, which is either a `Draw` or an `SVGDraw`.
+    const draw_action = (data, draw = layer_canvas(Protocol.layer_of(data)).strokes.draw) => {
+        switch (data.shape) {
+            case "circle":
+                // Eraser strokes erase what's beneath them, so their colour doesn't matter, as long
+                // as it's opaque.
+                draw.erasing = data.at.tool === "eraser";
+                draw.colour = draw.erasing ? "black" : data.at.colour;
+                draw.circle(data.at.x, data.at.y, data.at.radius);
+                draw.erasing = false;
+                return;
+
+            case "bridge":
+                if (data.from.tool === data.to.tool) {
+                    // If the tool is constant across a stroke, then we smoothly
+                    // interpolate both the size and colour of the stroke, so even
+                    // if the user moves the pointer quickly, it should still
+                    // result in a smooth line. Bridges sent by the pen are curved
+                    // (see `Pen`), so that the stroke doesn't appear piecewise-linear.
+                    draw.erasing = data.to.tool === "eraser";
+                    draw.colour = draw.erasing ? "black" : draw.gradient(
+                        data.from.x, data.from.y, data.from.colour,
+                        data.to.x, data.to.y, data.to.colour,
+                    );
+                    const points = Protocol.bridge_points(data);
+                    draw.circle(points[0].x, points[0].y, points[0].radius);
+                    for (let i = 1; i < points.length; ++i) {
+                        const [from, to] = [points[i - 1], points[i]];
+                        draw.circle(to.x, to.y, to.radius);
+                        draw.connect_circles(from.x, from.y, from.radius, to.x, to.y, to.radius);
+                    }
+                } else {
+                    // If the tool changes mid-stroke, we treat it as a new
+                    // stroke and do not interpolate.
+                    draw.erasing = data.to.tool === "eraser";
+                    draw.colour = draw.erasing ? "black" : data.to.colour;
+                    draw.circle(data.to.x, data.to.y, data.to.radius);
+                }
+                draw.erasing = false;
+                return;
+
+            case "image":
+                const image = load_image(data.src);
+                if (image.ready) {
+                    draw.image(image.element, data.x, data.y, data.width, data.height);
+                }
+                return;
+
+            case "line":
+            case "arrow":
+            case "rectangle":
+            case "ellipse":
+                draw_figure(data, draw);
+                return;
+
+            case "text":
+                draw.colour = data.colour;
+                data.text.split("\n").forEach((line, i) => {
+                    // `Draw.text` positions text by its baseline, which is roughly one em below the
+                    // top of the line.
+                    const baseline = data.y + data.size * (i * Protocol.TEXT_LINE_HEIGHT + 1);
+                    draw.text(data.x, baseline, line, data.size);
+                });
+                return;
+
+            case "clear":
+                // Cleared actions are never part of the history, so this only affects the canvas.
+                canvas.clear();
+                clear_layers();
+                return;
+        }
+    };
+
+    // The translucent strokes that are still being drawn on the canvas are drawn on their own
+    // layers (see `Compositor`), which are displayed above their layer until they're composited.
+    const draw_translucent = () => {
+        for (const { translucent, compositor } of layer_canvases.values()) {
+            translucent.clear();
+            compositor.draw_layers(translucent.draw);
+        }
+    };
+    const clear_compositors = () => {
+        for (const { compositor } of layer_canvases.values()) {
+            compositor.clear();
+        }
+    };
+    arrange_layers();
+    // Our own actions aren't attributed to us until the server sends them back.
+    const author_of = (action) => action.author !== undefined ? action.author : client.id;
+
+    // Draw a list of actions onto `draw`. When `live` is set, we're drawing onto the canvas
+    // itself, so we include the snapshot, draw strokes on the canvases of their layers, leave any
+    // translucent strokes that are still being drawn on their layers, and draw text on its own
+    // layer. Images are drawn beneath everything else, so that they may be annotated, and text
+    // above everything else. (The server's snapshots include neither, so this is also the only way
+    // to draw them in the right order.) Strokes are drawn on a layer of their own in any case, so
+    // that erasing them doesn't erase the images or background, or the strokes on other layers.
+    // Only the actions on visible layers are drawn, in the order of their layers.
+    const draw_actions = (actions, draw, live = false) => {
+        const layered = (action) => action.shape === "image" || action.shape === "text";
+        const visible = visible_layers();
+        const by_layer = new Map(layers.map((layer) => [layer.id, []]));
+        for (const action of actions) {
+            const id = Protocol.layer_of(action);
+            if (visible.has(id)) {
+                by_layer.get(id).push(action);
+            }
+        }
+        for (const actions of by_layer.values()) {
+            for (const action of actions) {
+                if (action.shape === "image") {
+                    draw_action(action, draw);
+                }
+            }
+        }
+        for (const [id, actions] of by_layer) {
+            const layer = live ? layer_canvas(id) : null;
+            const strokes = live ? layer.strokes.draw : draw.layer();
+            const overflow = new Set(live ? canvas_overflow : []);
+            if (live && canvas_snapshot !== null) {
+                // The snapshot already includes the parts of the overflowing actions within its
+                // region, so we only draw them outside it.
+                const { images, x, y, width, height } = canvas_snapshot;
+                const context = layer.strokes.context;
+                context.save();
+                context.beginPath();
+                context.rect(0, 0, layer.strokes.element.width, layer.strokes.element.height);
+                context.rect(...strokes.point(x, y), width * strokes.scale, height * strokes.scale);
+                context.clip("evenodd");
+                const overflow_compositor = new Compositor(strokes, draw_action);
+                for (const action of actions) {
+                    if (!layered(action) && overflow.has(action)) {
+                        overflow_compositor.add(action, author_of(action));
+                    }
+                }
+                overflow_compositor.flatten_all();
+                context.restore();
+                if (images.has(id)) {
+                    strokes.image(images.get(id), x, y, width, height);
+                }
+            }
+            const action_compositor = live ? layer.compositor : new Compositor(strokes, draw_action);
+            action_compositor.clear();
+            for (const action of actions) {
+                if (!layered(action) && !overflow.has(action)) {
+                    action_compositor.add(action, author_of(action));
+                }
+            }
+            if (!live) {
+                action_compositor.flatten_all();
+                draw.composite(strokes, 1);
+            }
+        }
+        if (live) {
+            text_layer.clear();
+        }
+        for (const actions of by_layer.values()) {
+            for (const action of actions) {
+                if (action.shape === "text") {
+                    draw_action(action, live ? text_layer.draw : draw);
+                }
+            }
+        }
+    };
+
+    // Redraw the whole canvas from the history.
+    const redraw = () => {
+        canvas.clear();
+        clear_layers();
+        const actions = Protocol.resolve(canvas_overflow.concat(canvas_history), canvas_headers);
+        draw_actions(actions, canvas.draw, true);
+        draw_translucent();
+        draw_selection();
+    };
+
+    const download = (blob, filename) => {
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        // Give the browser a moment to start the download before we release the blob.
+        setTimeout(() => URL.revokeObjectURL(link.href), Client.SECOND);
+    };
+
+    // Returns a promise that resolves to the actions currently visible on the canvas. When we're
+    // offline, our own history is complete; otherwise, we have to ask the server for it.
+    const current_actions = () => {
+        const history = client.offline ? Promise.resolve(canvas_history) : client.request_history();
+        return history.then(Protocol.resolve);
+    };
+
+    // The space left around the drawing when exporting it.
+    const EXPORT_MARGIN = 16;
+    // The largest images (in pixels) that we export, which are within the limits on the size of a
+    // canvas that browsers impose. Larger images are scaled down to fit.
+    const MAX_EXPORT_WIDTH = 16384;
+    const MAX_EXPORT_AREA = 4096 * 4096;
+
+    // Download the drawing as an image. We draw the full history of the canvas (rather than copying
+    // the canvas itself), so that the image is of the highest quality. `format` is either "png",
+    // in which case the image is scaled by `scale`, or "svg".
+    const export_image = (format, scale = 1) => {
+        current_actions().then((actions) => {
+            // Hidden layers are left out of the image.
+            const visible = visible_layers();
+            actions = actions.filter((action) => visible.has(Protocol.layer_of(action)));
+            // We can only draw images once they've loaded.
+            const loaded = actions
+                .filter((action) => action.shape === "image")
+                .map((action) => load_image(action.src).loaded);
+            return Promise.all(loaded).then(() => actions);
+        }).then((actions) => {
+            // We export the region containing everything that's been drawn, or the current view if
+            // nothing has.
+            const boxes = actions.map(Protocol.bounds).filter((box) => box !== null);
+            let [x0, y0, x1, y1] = [
+                viewport.x,
+                viewport.y,
+                viewport.x + width / viewport.zoom,
+                viewport.y + height / viewport.zoom,
+            ];
+            if (boxes.length > 0) {
+                [x0, y0, x1, y1] = boxes.reduce((a, b) => [
+                    Math.min(a[0], b[0]),
+                    Math.min(a[1], b[1]),
+                    Math.max(a[2], b[2]),
+                    Math.max(a[3], b[3]),
+                ]);
+                x0 = Math.floor(x0 - EXPORT_MARGIN);
+                y0 = Math.floor(y0 - EXPORT_MARGIN);
+                x1 = Math.ceil(x1 + EXPORT_MARGIN);
+                y1 = Math.ceil(y1 + EXPORT_MARGIN);
+            }
+            if (format === "svg") {
+                const svg = new SVGDraw(x1 - x0, y1 - y0, canvas.background, x0, y0);
+                draw_actions(actions, svg);
+                download(new Blob([svg.serialise()], { type: "image/svg+xml" }), "whiteboard.svg");
+            } else {
+                // Browsers fail to draw anything at all on canvases that are too large, so we make
+                // sure it'll fit.
+                const fitted = Math.min(
+                    scale,
+                    MAX_EXPORT_WIDTH / (x1 - x0),
+                    MAX_EXPORT_WIDTH / (y1 - y0),
+                    Math.sqrt(MAX_EXPORT_AREA / ((x1 - x0) * (y1 - y0))),
+                );
+                if (fitted < scale) {
+                    show_error("The image was too large, so has been scaled down.");
+                }
+                const image = new Canvas(x1 - x0, y1 - y0, canvas.background, fitted);
+                image.draw.viewport = { x: x0, y: y0, zoom: 1 };
+                draw_actions(actions, image.draw);
+                image.element.toBlob((blob) => {
+                    // This happens if the image is nonetheless too large, or has no pixels at all.
+                    if (blob === null) {
+                        show_error("The image could not be exported.");
+                        return;
+                    }
+                    download(blob, "whiteboard.png");
+                }, "image/png");
+            }
+        }).catch((error) => console.error("Failed to export the canvas:", error));
+    };
+
+    // Download the drawing as a board, i.e. the list of actions that may be loaded back into a
+    // channel with `load_board`.
+    const save_board = () => {
+        current_actions().then((actions) => {
+            const canvas = actions
+                .filter((action) => Protocol.IMPORTABLE_SHAPES.includes(action.shape))
+                .map((action) => {
+                    // The authors, layers and times of the actions aren't meaningful outside of
+                    // the channel.
+                    const { author, layer, time, ...rest } = action;
+                    return rest;
+                });
+            const board = JSON.stringify({ version: Protocol.VERSION, canvas });
+            download(new Blob([board], { type: "application/json" }), "whiteboard.json");
+        }).catch((error) => console.error("Failed to save the board:", error));
+    };
+
     const client = new Client({
         connect() {
             connecting_overlay.dataset.descr = "Loading canvas...";
+            status_indicator.classList.remove("reconnecting");
             status_indicator.classList.add("online");
         },
 
@@ -375,102 +1767,275 @@ document.addEventListener("DOMContentLoaded", () => {
         },
 
         disconnect() {
-            if (connecting_overlay.classList.contains("hidden")) {
-                connecting_overlay.classList.remove("hidden");
-                connecting_overlay.dataset.descr = "Disconnected from server. Please try refreshing.";
-            } else {
-                connecting_overlay.dataset.descr = "Could not connect to server. Please try refreshing.";
+            // If we'd already loaded the canvas, we let the user keep drawing while we reconnect:
+            // their strokes will be sent once we're back online.
+            if (!connecting_overlay.classList.contains("hidden")) {
+                connecting_overlay.dataset.descr = "Could not connect to server. Retrying...";
             }
             status_indicator.classList.remove("online", "offline");
+            status_indicator.classList.add("reconnecting");
         },
 
         join() {
             connecting_overlay.classList.add("hidden");
         },
 
-        draw(data, from_server) {
-            // FIXME: the validation is currently duplicated on the client and server. Ideally we
-            // would use `import` to share this functionality.
-            const validate_data = (properties) => {
-                return Client.validate_data(Object.assign({
-                    kind: () => true, // We're already implicitly validating this property here.
-                    shape: () => true, // As above.
-                }, properties), data);
-            };
-
-            const validate_pen_state = (state) => {
-                return Client.validate_data({
-                    x: (x) => Number.isFinite(x),
-                    y: (y) => Number.isFinite(y),
-                    tool: (tool) => ["brush", "eraser"].includes(tool),
-                    colour: (colour) => true, // FIXME: We're not validating colours at the moment.
-                    radius: (radius) => Number.isFinite(radius) && radius >= 0,
-                }, state);
-            };
+        // We've rejoined the channel as a different participant, so the freehand stroke we're
+        // drawing, if any, has to be started again.
+        restart_stroke() {
+            if (pen.held) {
+                start_stroke();
+            }
+        },
 
-            let valid_data = false;
-            switch (data.shape) {
-                case "circle":
-                    valid_data = validate_data({
-                        at: validate_pen_state,
+        presence(list) {
+            const previous = participants;
+            participants = new Map();
+            presence_list.textContent = "";
+            for (const { id, name, colour, role } of list) {
+                const entry = document.createElement("div");
+                entry.style.setProperty("--participant-colour", colour);
+                entry.title = role;
+                let description = id === client.id ? `${name} (you)` : name;
+                if (id === client.presenter) {
+                    description += " (presenting)";
+                }
+                entry.appendChild(document.createTextNode(description));
+                if (client.role === "owner" && id !== client.id) {
+                    // Owners may remove other participants from the channel.
+                    const kick = document.createElement("button");
+                    kick.appendChild(document.createTextNode("Remove"));
+                    kick.addEventListener("click", () => {
+                        if (window.confirm(`Are you sure you want to remove ${name} from the channel?`)) {
+                            client.kick(id);
+                        }
                     });
-                    break;
-                case "bridge":
-                    valid_data = validate_data({
-                        from: validate_pen_state,
-                        to: validate_pen_state,
+                    entry.appendChild(kick);
+                }
+                presence_list.appendChild(entry);
+                if (id !== client.id) {
+                    participants.set(id, {
+                        name,
+                        colour,
+                        cursor: previous.has(id) ? previous.get(id).cursor : null,
                     });
+                }
+            }
+            if (client.presenter !== presenter) {
+                // Somebody has started (or stopped) presenting, so we follow them from now on.
+                presenter = client.presenter;
+                presented_view = null;
+                following = true;
+                if (presenter === client.id) {
+                    share_view();
+                }
+            }
+            present_action.element.classList.toggle("active", presenter === client.id);
+            update_follow_button();
+            draw_cursors();
+        },
+
+        // The presenter's view has changed.
+        viewport(data) {
+            presented_view = data;
+            if (is_following()) {
+                follow_presenter();
+            }
+        },
+
+        cursor(data) {
+            if (participants.has(data.id)) {
+                participants.get(data.id).cursor = [data.x, data.y];
+                draw_cursors();
+            }
+        },
+
+        error(code, message) {
+            console.error(`Received an error from the server (${code}):`, message);
+            const block = (description) => {
+                // We can't continue, so we block the canvas.
+                connecting_overlay.classList.remove("hidden");
+                connecting_overlay.dataset.descr = description;
+                status_indicator.classList.remove("online", "reconnecting");
+            };
+            switch (code) {
+                case "version":
+                    block("The server has been updated. Please refresh the page.");
                     break;
-                case "clear":
-                    valid_data = validate_data({});
+                case "unknown_channel":
+                case "kicked":
+                    block(message);
                     break;
+                case "password_required":
+                    const password = window.prompt(`${message} Please enter the password:`);
+                    if (password !== null) {
+                        client.password = password;
+                        client.join();
+                    } else {
+                        client.stopped = true;
+                        block("This channel is private.");
+                    }
+                    break;
+                case "forbidden":
+                    if (client.stopped) {
+                        block(message);
+                        break;
+                    }
+                    // If we've already joined, this is just an action we weren't permitted to
+                    // take, which we treat like any other error.
+                default:
+                    // Other errors are displayed for a little while.
+                    show_error(message);
+                    break;
+            }
+        },
+
+        reset() {
+            canvas_history = [];
+            canvas_snapshot = null;
+            canvas_overflow = [];
+            canvas_headers = [];
+            stroke_headers = new Map();
+            images = new Map();
+            canvas.clear();
+            clear_layers();
+            clear_compositors();
+            draw_translucent();
+            text_layer.clear();
+            selection.clear();
+            selection_layer.clear();
+        },
+
+        // Draw a snapshot of the canvas, along with the actions it doesn't entirely include,
+        // returning a promise that resolves once it has been drawn. `headers` are the circles that
+        // started the strokes that are continued after the snapshot.
+        snapshot({ images, x, y, width, height }, overflow, headers) {
+            canvas_headers = headers.filter((action) => {
+                return action.kind === "draw" && action.shape === "circle"
+                    && Protocol.validate_server_message(action) === null;
+            });
+            Protocol.expand(canvas_headers, stroke_headers);
+            // The snapshot has an image for each layer that has been drawn on.
+            return Promise.all(images.map(({ layer, image }) => new Promise((resolve, reject) => {
+                const element = new Image();
+                element.addEventListener("load", () => resolve([layer, element]));
+                element.addEventListener("error", reject);
+                element.src = image;
+            }))).then((images) => {
+                canvas_snapshot = { images: new Map(images), x, y, width, height };
+                canvas_overflow = overflow.filter((action) => {
+                    return action.kind === "draw"
+                        && Protocol.validate_server_message(action) === null;
+                });
+                redraw();
+            });
+        },
+
+        // The layers of the canvas have changed.
+        layers(new_layers) {
+            layers = new_layers;
+            if (!layers.some((layer) => layer.id === current_layer)) {
+                current_layer = layers[0].id;
             }
+            const layer = layers.find((layer) => layer.id === current_layer);
+            if (layer.hidden || layer.locked) {
+                // We can't carry on drawing on a layer that has just been hidden or locked.
+                pen.held = false;
+                figure = null;
+            }
+            arrange_layers();
+            update_layers_panel();
+            // Hiding and showing layers changes which selected strokes are selectable.
+            const selectable = selectable_strokes();
+            for (const key of selection.keys()) {
+                if (!selectable.has(key)) {
+                    selection.delete(key);
+                }
+            }
+            redraw();
+        },
 
-            if (valid_data) {
-                switch (data.shape) {
-                    case "circle":
-                        canvas.draw.colour = data.at.colour;
-                        canvas.draw.circle(data.at.x, data.at.y, data.at.radius);
-                        return;
+        checkpoints(list) {
+            checkpoints = list;
+            update_checkpoints_panel();
+        },
 
-                    case "bridge":
-                        if (data.from.tool === data.to.tool) {
-                            // If the tool is constant across a stroke, then we smoothly
-                            // interpolate both the size and colour of the stroke, so even
-                            // if the user moves the pointer quickly, it should still
-                            // result in a smooth line. We *don't* yet interpolate the lines,
-                            // so the result does occasionally appear piecewise-linear, but
-                            // it looks fine.
-                            canvas.draw.colour = canvas.draw.gradient(
-                                data.from.x, data.from.y, data.from.colour,
-                                data.to.x, data.to.y, data.to.colour,
-                            );
-                            canvas.draw.circle(data.from.x, data.from.y, data.from.radius);
-                            canvas.draw.circle(data.to.x, data.to.y, data.to.radius);
-                            canvas.draw.connect_circles(
-                                data.from.x, data.from.y, data.from.radius,
-                                data.to.x, data.to.y, data.to.radius,
-                            );
-                        } else {
-                            // If the tool changes mid-stroke, we treat it as a new
-                            // stroke and do not interpolate.
-                            canvas.draw.colour = data.to.colour;
-                            canvas.draw.circle(data.to.x, data.to.y, data.to.radius);
-                        }
-                        return;
+        created(query_string) {
+            // Open the newly-created channel.
+            window.location.search = query_string;
+        },
 
-                    case "clear":
-                        canvas.clear();
-                        return;
+        draw(data, from_server) {
+            const reason = from_server
+                ? Protocol.validate_server_message(data)
+                : Protocol.validate_client_message(data);
+            // Only the server can tell us which stroke to undo or redo, and edits are only applied
+            // once the server has attributed them.
+            const valid_data = reason === null && data.kind === "draw" && (from_server || (
+                data.shape !== "undo" && data.shape !== "redo" && !Protocol.EDITS.includes(data.shape)
+            ));
+
+            if (valid_data) {
+                // When we're offline, we're the only source of drawing actions, so we keep track
+                // of our own.
+                if (from_server || client.offline) {
+                    if (data.shape === "clear") {
+                        canvas_history = [];
+                        canvas_snapshot = null;
+                        canvas_overflow = [];
+                        canvas_headers = [];
+                        stroke_headers = new Map();
+                        images = new Map();
+                    } else {
+                        canvas_history.push(data);
+                    }
+                }
+                if (["undo", "redo", "image", ...Protocol.EDITS].includes(data.shape)) {
+                    // Images are drawn beneath everything else, so we have to redraw the canvas
+                    // for those too, as well as for edits.
+                    redraw();
+                } else if (data.shape === "clear") {
+                    clear_compositors();
+                    draw_action(data);
+                    draw_translucent();
+                    text_layer.clear();
+                    selection.clear();
+                    selection_layer.clear();
+                } else if (data.shape === "text") {
+                    // Strokes on hidden layers are drawn on their (hidden) canvases, but text
+                    // shares a layer with every other layer's, so is only drawn once it's shown.
+                    if (visible_layers().has(Protocol.layer_of(data))) {
+                        draw_action(data, text_layer.draw);
+                    }
+                } else {
+                    // Points are drawn as the bridges they expand to.
+                    const compositor = layer_canvas(Protocol.layer_of(data)).compositor;
+                    let translucent = false;
+                    for (const action of Protocol.expand([data], stroke_headers)) {
+                        translucent = compositor.add(action, author_of(action)) || translucent;
+                    }
+                    if (translucent) {
+                        draw_translucent();
+                    }
                 }
             } else {
-                console.error(`Received bad drawing data from ${from_server ? "the server": "itself"}:`, data);
+                console.error(`Received bad drawing data from ${from_server ? "the server": "itself"}:`, data, reason);
             }
         }
     });
+    // The name we're displayed to other participants as is remembered between visits.
+    client.name = window.localStorage.getItem("name");
     // For now, we're going to fetch the host and port for the WebSocket server from the query string.
     const query_pairs = new Map(atob(window.location.search.slice(1)).split("&").map((pair) => pair.split("=")));
     const channel = query_pairs.get("channel");
+    if (query_pairs.has("token")) {
+        client.token = query_pairs.get("token");
+    }
+    if (query_pairs.has("spectate")) {
+        // Spectators only watch, so nothing but the canvas is shown.
+        client.spectating = true;
+        document.body.classList.add("spectating");
+    }
     if (channel !== undefined) {
         client.connect(decodeURIComponent(channel));
     } else {
@@ -488,12 +2053,40 @@ document.addEventListener("DOMContentLoaded", () => {
     let stroke_radius = 10;
 
     tools = {
-        red: new Tool("Red", { hue: 0 }),
-        green: new Tool("Green", { hue: 110 }),
-        blue: new Tool("Blue", { hue: 230 }),
         eraser: new Tool("Eraser", {}),
+        line: new Tool("Line", { figure: "line" }),
+        arrow: new Tool("Arrow", { figure: "arrow" }),
+        rectangle: new Tool("Rect", { figure: "rectangle" }),
+        ellipse: new Tool("Ellipse", { figure: "ellipse" }),
+        text: new Tool("Text", {}),
+        select: new Tool("Select", {}),
+        // Deletes whole strokes, unlike the eraser, which erases parts of them.
+        stroke_eraser: new Tool("Strokes", {}),
     };
 
+    // Whether rectangles and ellipses are filled (with the same colour as their outline).
+    let fill_figures = false;
+    const fill_action = new Action("Fill", () => {
+        fill_figures = !fill_figures;
+        fill_action.element.classList.toggle("active", fill_figures);
+    });
+
+    // The colour we draw with is chosen with the colour picker, which is shown and hidden by the
+    // colour action, which also displays the current colour.
+    const colour_picker = new ColourPicker();
+    document.body.appendChild(colour_picker.element);
+    const colour_action = new Action("Colour", () => {
+        colour_picker.element.classList.toggle("hidden");
+    });
+    colour_action.element.classList.add("active");
+    colour_picker.onchange = () => {
+        colour_action.element.style.setProperty("--active-colour", colour_picker.colour);
+        if (pen.state !== null && pen.state.tool === "brush") {
+            update_state_for_tool(pen.state, "brush");
+        }
+    };
+    colour_picker.onchange();
+
     const update_state_for_tool = (state, tool) => {
         if (state === null) {
             return;
@@ -501,43 +2094,561 @@ document.addEventListener("DOMContentLoaded", () => {
 
         switch (tool) {
             case "brush":
-                const hues = [];
-                for (const tool of Object.values(tools)) {
-                    if (tool.hue !== null && tool.active) {
-                        hues.push(tool.hue);
-                    }
-                }
-                if (hues.length > 0) {
-                    // Compute the average hue (i.e. a circular mean).
-                    let [x, y] = hues
-                        .map((d) => d * Math.PI / 180)
-                        .map((r) => [Math.sin(r), Math.cos(r)])
-                        .reduce(([ax, ay], [bx, by]) => [ax + bx, ay + by], [0, 0]);
-                    const hue = Math.atan2(x, y) * 180 / Math.PI;
-                    state.colour = `hsl(${hue}, 75%, 50%)`;
-                }
+                state.colour = colour_picker.colour;
                 state.stroke_radius = stroke_radius;
                 break;
             case "eraser":
-                state.colour = "white";
+                // Eraser strokes erase whatever is beneath them, so don't have a colour of their
+                // own.
+                state.colour = "transparent";
                 state.stroke_radius = stroke_radius * 4;
                 break;
         }
         state.tool = tool;
     };
 
-    const pen_state_from_event = (event) => {
-        const state = PenState.from_event(event, canvas.element);
-        if (tools.eraser.active) {
-            update_state_for_tool(state, "eraser");
-        } else {
-            update_state_for_tool(state, "brush");
+    const pen_state_from_event = (event) => {
+        const state = PenState.from_event(event, canvas.element, viewport);
+        if (tools.eraser.active) {
+            update_state_for_tool(state, "eraser");
+        } else {
+            update_state_for_tool(state, "brush");
+
+        }
+        return state;
+    };
+
+    // Strokes are numbered by each participant, so that they can be undone and redone.
+    let next_stroke = 0;
+
+    // Returns whether we may draw on the current layer, explaining why not if we may not.
+    const drawable = () => {
+        if (playback !== null) {
+            show_error("You can't draw while watching the recording.");
+            return false;
+        }
+        const layer = layers.find((layer) => layer.id === current_layer);
+        if (layer.locked || layer.hidden) {
+            show_error(`The layer "${layer.name}" is ${layer.locked ? "locked" : "hidden"}.`);
+            return false;
+        }
+        return true;
+    };
+
+    // Returns whether we may change the canvas at all, letting the user know if not. The server
+    // would ignore us anyway, but we check first so that we don't change our own canvas either.
+    const editable = () => {
+        if (client.role === "viewer") {
+            show_error("Viewers may not draw on the canvas.");
+            return false;
+        }
+        if (client.spectating) {
+            show_error("You can't draw while spectating.");
+            return false;
+        }
+        return true;
+    };
+
+    // The text that is being typed with the text tool, if any, of the form `{ element, x, y, size,
+    // colour }`, where `element` is the text area in which it's being typed.
+    let text_input = null;
+
+    // Send the text that is being typed, if any.
+    const commit_text = () => {
+        if (text_input === null) {
+            return;
+        }
+        const { element, x, y, size, colour, layer } = text_input;
+        // Removing the element blurs it, so we have to forget it first.
+        text_input = null;
+        element.remove();
+        if (element.value.trim() !== "") {
+            client.send_message({
+                kind: "draw",
+                shape: "text",
+                stroke: next_stroke++,
+                layer,
+                x,
+                y,
+                size,
+                colour,
+                text: element.value,
+            });
+        }
+    };
+
+    // Start typing text whose top-left corner is at `(x, y)`. The text is sent when the user
+    // presses Enter (Shift + Enter starts a new line) or clicks elsewhere, and discarded if they
+    // press Escape.
+    const open_text = (x, y) => {
+        const element = document.createElement("textarea");
+        element.classList.add("text_input");
+        element.maxLength = Protocol.MAX_TEXT_LENGTH;
+        // The font size follows the stroke size, so that it may be adjusted in the same way.
+        const size = stroke_radius * 2;
+        const colour = colour_picker.colour;
+        const rect = canvas.element.getBoundingClientRect();
+        element.style.left = `${rect.left + window.scrollX + (x - viewport.x) * viewport.zoom}px`;
+        element.style.top = `${rect.top + window.scrollY + (y - viewport.y) * viewport.zoom}px`;
+        element.style.fontSize = `${size * viewport.zoom}px`;
+        element.style.color = colour;
+        const resize = () => {
+            const lines = element.value.split("\n");
+            element.rows = lines.length;
+            element.cols = Math.max(...lines.map((line) => line.length), 1) + 1;
+        };
+        resize();
+        element.addEventListener("input", resize);
+        element.addEventListener("keydown", (event) => {
+            if (event.key === "Enter" && !event.shiftKey) {
+                event.preventDefault();
+                commit_text();
+            } else if (event.key === "Escape") {
+                text_input = null;
+                element.remove();
+            }
+        });
+        element.addEventListener("blur", commit_text);
+        document.body.appendChild(element);
+        text_input = { element, x, y, size, colour, layer: current_layer };
+        // We wait until the pointer event that opened the text area has been handled, as it would
+        // otherwise steal the focus.
+        setTimeout(() => element.focus());
+    };
+
+    // The strokes selected with the select tool, as `{ author, stroke }` (which is how edits refer
+    // to them), keyed by `author:stroke`.
+    const selection = new Map();
+    // The lasso being drawn with the select tool, as a list of points, if any.
+    let lasso = null;
+    // The selection being dragged, if any, of the form `{ from, dx, dy, actions }`, where `from` is
+    // the point at which the drag started and `actions` are those of the selected strokes.
+    let dragging = null;
+
+    const SELECTION_COLOUR = "hsl(210, 100%, 50%)";
+
+    const stroke_key = (action) => `${action.author}:${action.stroke}`;
+
+    // Returns the visible actions that may be selected, grouped by stroke. Strokes that haven't
+    // been attributed by the server (because we're offline) can't be edited, and neither can
+    // erasing, nor strokes on hidden or locked layers.
+    const selectable_strokes = () => {
+        const editable = new Set(layers
+            .filter((layer) => !layer.hidden && !layer.locked)
+            .map((layer) => layer.id));
+        const strokes = new Map();
+        const actions = Protocol.resolve(canvas_overflow.concat(canvas_history), canvas_headers);
+        for (const action of actions) {
+            const tool = action.shape === "circle" ? action.at.tool
+                : action.shape === "bridge" ? action.from.tool : null;
+            if (
+                action.author === undefined || tool === "eraser" || Protocol.bounds(action) === null
+                    || !editable.has(Protocol.layer_of(action))
+            ) {
+                continue;
+            }
+            const key = stroke_key(action);
+            if (!strokes.has(key)) {
+                strokes.set(key, []);
+            }
+            strokes.get(key).push(action);
+        }
+        return strokes;
+    };
+
+    // Returns the actions of the selected strokes.
+    const selected_actions = () => {
+        const strokes = selectable_strokes();
+        return Array.from(selection.keys()).filter((key) => strokes.has(key)).flatMap((key) => {
+            return strokes.get(key);
+        });
+    };
+
+    // Returns the bounding box of some actions, or `null` if there aren't any.
+    const bounds_of = (actions) => {
+        if (actions.length === 0) {
+            return null;
+        }
+        return actions.map(Protocol.bounds).reduce((a, b) => [
+            Math.min(a[0], b[0]),
+            Math.min(a[1], b[1]),
+            Math.max(a[2], b[2]),
+            Math.max(a[3], b[3]),
+        ]);
+    };
+
+    // The distance from `(x, y)` to the line segment from `(x0, y0)` to `(x1, y1)`.
+    const segment_distance = (x, y, x0, y0, x1, y1) => {
+        const [dx, dy] = [x1 - x0, y1 - y0];
+        const length_squared = dx ** 2 + dy ** 2;
+        const t = length_squared > 0
+            ? Math.min(Math.max(((x - x0) * dx + (y - y0) * dy) / length_squared, 0), 1)
+            : 0;
+        return Math.hypot(x - (x0 + t * dx), y - (y0 + t * dy));
+    };
+
+    // Whether a circle of the given radius, centred at `(x, y)`, touches what an action draws.
+    const touches_action = (action, x, y, radius) => {
+        switch (action.shape) {
+            case "circle":
+                return Math.hypot(x - action.at.x, y - action.at.y) <= action.at.radius + radius;
+            case "bridge": {
+                const points = Protocol.bridge_points(action);
+                return points.slice(1).some((to, i) => {
+                    const from = points[i];
+                    return segment_distance(x, y, from.x, from.y, to.x, to.y)
+                        <= Math.max(from.radius, to.radius) + radius;
+                });
+            }
+            case "line":
+            case "arrow":
+                return segment_distance(x, y, action.from.x, action.from.y, action.to.x, action.to.y)
+                    <= action.width / 2 + radius;
+            case "rectangle": {
+                const [x0, y0] = [Math.min(action.from.x, action.to.x), Math.min(action.from.y, action.to.y)];
+                const [x1, y1] = [Math.max(action.from.x, action.to.x), Math.max(action.from.y, action.to.y)];
+                if (action.fill !== null && x >= x0 && x <= x1 && y >= y0 && y <= y1) {
+                    return true;
+                }
+                const edges = [[x0, y0, x1, y0], [x1, y0, x1, y1], [x1, y1, x0, y1], [x0, y1, x0, y0]];
+                return edges.some((edge) => segment_distance(x, y, ...edge) <= action.width / 2 + radius);
+            }
+            case "ellipse": {
+                const [cx, cy] = [(action.from.x + action.to.x) / 2, (action.from.y + action.to.y) / 2];
+                const [rx, ry] = [
+                    Math.max(Math.abs(action.to.x - action.from.x) / 2, Number.EPSILON),
+                    Math.max(Math.abs(action.to.y - action.from.y) / 2, Number.EPSILON),
+                ];
+                // We approximate the distance from the outline by scaling the distance from the
+                // centre.
+                const d = Math.hypot((x - cx) / rx, (y - cy) / ry);
+                if (action.fill !== null && d <= 1) {
+                    return true;
+                }
+                return Math.abs(d - 1) * Math.min(rx, ry) <= action.width / 2 + radius;
+            }
+            default:
+                // Images and text can be touched anywhere within their bounds.
+                const bounds = Protocol.bounds(action);
+                return bounds !== null && x + radius >= bounds[0] && x - radius <= bounds[2]
+                    && y + radius >= bounds[1] && y - radius <= bounds[3];
+        }
+    };
+
+    // Whether the point `(x, y)` lies within a polygon, given as a list of points.
+    const inside = (x, y, polygon) => {
+        let crossings = 0;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const [[xi, yi], [xj, yj]] = [polygon[i], polygon[j]];
+            if ((yi > y) !== (yj > y) && x < xi + (y - yi) / (yj - yi) * (xj - xi)) {
+                ++crossings;
+            }
+        }
+        return crossings % 2 === 1;
+    };
+
+    // Outline the selection (moved by however far it's being dragged), and the lasso.
+    const draw_selection = () => {
+        selection_layer.clear();
+        const draw = selection_layer.draw;
+        // The outlines are the same width, however far we're zoomed in.
+        const line_width = 1 / viewport.zoom;
+        draw.colour = SELECTION_COLOUR;
+        selection_layer.context.setLineDash([4, 4]);
+        if (lasso !== null) {
+            selection_layer.context.beginPath();
+            for (const [x, y] of lasso) {
+                selection_layer.context.lineTo(...draw.point(x, y));
+            }
+            draw.paint(line_width);
+        }
+        let actions = dragging !== null ? dragging.actions : selected_actions();
+        if (dragging !== null) {
+            const move = { shape: "move", dx: dragging.dx, dy: dragging.dy };
+            actions = actions.map((action) => Protocol.apply_edit(action, move));
+            selection_layer.context.setLineDash([]);
+            for (const action of actions) {
+                draw_action(action, draw);
+            }
+            selection_layer.context.setLineDash([4, 4]);
+            draw.colour = SELECTION_COLOUR;
+        }
+        const bounds = bounds_of(actions);
+        if (bounds !== null) {
+            const margin = 4 / viewport.zoom;
+            draw.rectangle(
+                bounds[0] - margin,
+                bounds[1] - margin,
+                bounds[2] - bounds[0] + margin * 2,
+                bounds[3] - bounds[1] + margin * 2,
+                line_width,
+            );
+        }
+        selection_layer.context.setLineDash([]);
+    };
+
+    // Strokes in the snapshot can't be selected, because we don't have their actions. So before
+    // selecting anything, we fetch the full history of the canvas, and draw it in place of the
+    // snapshot.
+    const complete_history = () => {
+        if (canvas_snapshot === null) {
+            return Promise.resolve();
+        }
+        return client.request_history().then((history) => {
+            canvas_history = history;
+            canvas_snapshot = null;
+            canvas_overflow = [];
+            canvas_headers = [];
+            redraw();
+        });
+    };
+
+    // Start selecting at `(x, y)`: either dragging the selection, if the point is within it, or
+    // drawing a lasso to make a new selection.
+    const start_selecting = (x, y) => {
+        const actions = selected_actions();
+        const bounds = bounds_of(actions);
+        if (bounds !== null && x >= bounds[0] && x <= bounds[2] && y >= bounds[1] && y <= bounds[3]) {
+            dragging = { from: [x, y], dx: 0, dy: 0, actions };
+        } else {
+            selection.clear();
+            lasso = [[x, y]];
+        }
+        draw_selection();
+    };
+
+    // Select the strokes that lie entirely within the lasso. If the lasso is too small to enclose
+    // anything, then we select the topmost stroke at the point that was clicked instead.
+    const finish_lasso = () => {
+        const polygon = lasso;
+        lasso = null;
+        draw_selection();
+        complete_history().catch((error) => {
+            // We can still select strokes drawn since the snapshot.
+            console.error("Failed to fetch the history of the canvas:", error);
+        }).then(() => {
+            const strokes = Array.from(selectable_strokes());
+            const [x, y] = polygon[0];
+            if (polygon.length < 3) {
+                const hit = strokes.reverse().find(([, actions]) => {
+                    return actions.some((action) => touches_action(action, x, y, 0));
+                });
+                if (hit !== undefined) {
+                    const [{ author, stroke }] = hit[1];
+                    selection.set(hit[0], { author, stroke });
+                }
+            } else {
+                for (const [key, actions] of strokes) {
+                    const enclosed = actions.every((action) => {
+                        const bounds = Protocol.bounds(action);
+                        return inside((bounds[0] + bounds[2]) / 2, (bounds[1] + bounds[3]) / 2, polygon);
+                    });
+                    if (enclosed) {
+                        const [{ author, stroke }] = actions;
+                        selection.set(key, { author, stroke });
+                    }
+                }
+            }
+            draw_selection();
+        });
+    };
+
+    // The strokes that may be deleted with the stroke eraser while it's held down, and those it
+    // has already deleted, of the form `{ strokes, erased }`, or `null` if it's not held down.
+    let stroke_eraser = null;
+
+    // Start deleting the strokes touched by the stroke eraser.
+    const start_erasing_strokes = (x, y) => {
+        stroke_eraser = { strokes: selectable_strokes(), erased: new Set() };
+        erase_strokes(x, y);
+        // The strokes in the snapshot may only be erased once we have their actions.
+        complete_history().then(() => {
+            if (stroke_eraser !== null) {
+                stroke_eraser.strokes = selectable_strokes();
+            }
+        }).catch((error) => console.error("Failed to fetch the history of the canvas:", error));
+    };
+
+    // Delete the strokes touched by the stroke eraser at `(x, y)`.
+    const erase_strokes = (x, y) => {
+        const targets = [];
+        for (const [key, actions] of stroke_eraser.strokes) {
+            if (
+                !stroke_eraser.erased.has(key)
+                    && actions.some((action) => touches_action(action, x, y, stroke_radius / 2))
+            ) {
+                stroke_eraser.erased.add(key);
+                const [{ author, stroke }] = actions;
+                targets.push({ author, stroke });
+            }
+        }
+        if (targets.length > 0) {
+            client.send_message({ kind: "draw", shape: "delete", stroke: next_stroke++, targets });
+        }
+    };
+
+    // Edit the selected strokes, sending an edit of the given shape.
+    const edit_selection = (shape, properties = {}) => {
+        if (selection.size === 0) {
+            return;
+        }
+        client.send_message(Object.assign({
+            kind: "draw",
+            shape,
+            stroke: next_stroke++,
+            targets: Array.from(selection.values()),
+        }, properties));
+        if (shape === "delete") {
+            selection.clear();
+            draw_selection();
+        }
+    };
+
+    // The figure that is being drawn with one of the shape tools, if any. Figures are previewed
+    // while dragging, and only sent once the pointer is lifted.
+    let figure = null;
+
+    const MIN_ZOOM = 1 / 8;
+    const MAX_ZOOM = 8;
+    const ZOOM_DAMPENING = 200;
+
+    // Redraw every layer after the viewport has changed, at most once per frame.
+    let view_frame = null;
+    const update_view = () => {
+        if (view_frame === null) {
+            // Text areas are positioned for the current view, so we send any text being typed.
+            commit_text();
+            view_frame = window.requestAnimationFrame(() => {
+                view_frame = null;
+                redraw();
+                draw_cursors();
+                if (pen.state !== null) {
+                    draw_brush(pen.state.stroke_radius);
+                }
+            });
+        }
+        if (presenter === client.id) {
+            share_view();
+        }
+    };
+
+    // We let the other participants know what we're looking at while we're presenting, but no more
+    // often than every `VIEW_INTERVAL` milliseconds.
+    const VIEW_INTERVAL = 50;
+    let view_timeout = null;
+    const share_view = () => {
+        if (view_timeout === null) {
+            view_timeout = setTimeout(() => {
+                view_timeout = null;
+                client.send_message({
+                    kind: "viewport",
+                    x: viewport.x,
+                    y: viewport.y,
+                    width: width / viewport.zoom,
+                    height: height / viewport.zoom,
+                });
+            }, VIEW_INTERVAL);
+        }
+    };
+
+    // Show the region of the canvas that the presenter is looking at, as closely as we can.
+    const follow_presenter = () => {
+        if (presented_view === null) {
+            return;
+        }
+        const { x, y, width: view_width, height: view_height } = presented_view;
+        const zoom = Math.min(
+            Math.max(Math.min(width / view_width, height / view_height), MIN_ZOOM),
+            MAX_ZOOM,
+        );
+        viewport.x = x + view_width / 2 - width / 2 / zoom;
+        viewport.y = y + view_height / 2 - height / 2 / zoom;
+        viewport.zoom = zoom;
+        update_view();
+    };
+
+    // Navigating ourselves means we stop following the presenter, until we choose to again.
+    const stop_following = () => {
+        if (is_following()) {
+            following = false;
+            update_follow_button();
+            draw_cursors();
+        }
+    };
+    const follow_button = document.createElement("button");
+    follow_button.classList.add("follow");
+    follow_button.appendChild(document.createTextNode("Follow the presenter"));
+    follow_button.addEventListener("click", () => {
+        following = true;
+        update_follow_button();
+        follow_presenter();
+    });
+    document.body.appendChild(follow_button);
+    const update_follow_button = () => {
+        follow_button.classList.toggle(
+            "hidden",
+            presenter === null || presenter === client.id || following,
+        );
+    };
+    update_follow_button();
+
+    // Move the view by `(dx, dy)` CSS pixels.
+    const pan_by = (dx, dy) => {
+        stop_following();
+        viewport.x -= dx / viewport.zoom;
+        viewport.y -= dy / viewport.zoom;
+        update_view();
+    };
+
+    // Zoom the view by `factor`, keeping the point under `(client_x, client_y)` where it is.
+    const zoom_at = (client_x, client_y, factor) => {
+        stop_following();
+        const rect = canvas.element.getBoundingClientRect();
+        const [x, y] = [client_x - rect.left, client_y - rect.top];
+        const zoom = Math.min(Math.max(viewport.zoom * factor, MIN_ZOOM), MAX_ZOOM);
+        viewport.x += x / viewport.zoom - x / zoom;
+        viewport.y += y / viewport.zoom - y / zoom;
+        viewport.zoom = zoom;
+        update_view();
+    };
 
-        }
-        return state;
+    // The canvas may be panned by dragging while holding the space bar or the middle button, in
+    // which case `panning` is the last position of the pointer.
+    let space_held = false;
+    let panning = null;
+
+    // The canvas may also be panned and zoomed by dragging with two fingers. `touches` holds the
+    // positions of the pointers touching the screen, and `gesture` the midpoint of and distance
+    // between the first two when we last moved.
+    const touches = new Map();
+    let gesture = null;
+    const gesture_state = () => {
+        const [[x0, y0], [x1, y1]] = touches.values();
+        return { midpoint: [(x0 + x1) / 2, (y0 + y1) / 2], distance: Math.hypot(x1 - x0, y1 - y0) };
     };
 
     const pointer_down = (event, original_event = event) => {
+        if (event.pointerType === "touch") {
+            touches.set(event.pointerId, [event.clientX, event.clientY]);
+            if (touches.size >= 2) {
+                // A second finger means we're navigating rather than drawing.
+                original_event.preventDefault();
+                pen.held = false;
+                gesture = gesture_state();
+                return;
+            }
+        }
+        if (space_held || event.button === 1) {
+            original_event.preventDefault();
+            panning = [event.clientX, event.clientY];
+            return;
+        }
+        if (playback !== null || client.spectating) {
+            // We may still navigate while watching the recording, or spectating, but nothing
+            // else.
+            return;
+        }
+
         pen.state = pen_state_from_event(event);
         if (event.buttons & SECONDARY_PEN_BUTTON || event.shiftKey) {
             update_state_for_tool(pen.state, ALT_TOOL);
@@ -547,17 +2658,114 @@ document.addEventListener("DOMContentLoaded", () => {
             // This is a hack to get around the fact you can't call `preventDefault` on
             // non-native JavaScript objects.
             original_event.preventDefault();
-            pen.held = true;
+            commit_text();
+            if (!tools.select.active && !tools.stroke_eraser.active && !drawable()) {
+                return;
+            }
+            if (pen.state.tool === "brush") {
+                colour_picker.use();
+            }
+            if (tools.text.active && pen.state.tool === "brush") {
+                open_text(pen.state.x, pen.state.y);
+                return;
+            }
+            if (tools.select.active && pen.state.tool === "brush") {
+                start_selecting(pen.state.x, pen.state.y);
+                return;
+            }
+            if (tools.stroke_eraser.active && pen.state.tool === "brush") {
+                start_erasing_strokes(pen.state.x, pen.state.y);
+                return;
+            }
+            if (selection.size > 0) {
+                // Drawing with any other tool deselects everything.
+                selection.clear();
+                draw_selection();
+            }
+            const figure_tool = Object.values(tools).find((tool) => {
+                return tool.active && tool.figure !== undefined;
+            });
+            if (figure_tool !== undefined && pen.state.tool === "brush") {
+                figure = {
+                    kind: "draw",
+                    shape: figure_tool.figure,
+                    stroke: next_stroke++,
+                    layer: current_layer,
+                    from: { x: pen.state.x, y: pen.state.y },
+                    to: { x: pen.state.x, y: pen.state.y },
+                    colour: pen.state.colour,
+                    // This matches the width of strokes drawn with a mouse.
+                    width: stroke_radius,
+                };
+                if (figure.shape === "rectangle" || figure.shape === "ellipse") {
+                    figure.fill = fill_figures ? pen.state.colour : null;
+                }
+                draw_brush(pen.state.stroke_radius);
+                return;
+            }
+            start_stroke();
+        }
+    };
+
+    // Start a freehand stroke at the current state of the pen. The circle that starts it gives the
+    // tool and colour of the rest of it, which is sent as batches of points.
+    const start_stroke = () => {
+        pen.start(next_stroke++);
+        client.send_message({
+            kind: "draw",
+            shape: "circle",
+            stroke: pen.stroke,
+            layer: current_layer,
+            at: pen.state.as_message(),
+        });
+    };
+
+    const send_points = (points) => {
+        if (points !== null) {
             client.send_message({
                 kind: "draw",
-                shape: "circle",
-                at: pen.state.as_message(),
+                shape: "points",
+                stroke: pen.stroke,
+                layer: current_layer,
+                points,
             });
         }
     };
 
+    // The points we've collected are sent once `Pen.BATCH_INTERVAL` has passed, and drawn on the
+    // brush layer until then.
+    let points_timeout = null;
+    const schedule_points = () => {
+        if (points_timeout === null) {
+            points_timeout = setTimeout(() => {
+                points_timeout = null;
+                if (pen.held) {
+                    send_points(pen.flush());
+                    draw_brush(pen.state.stroke_radius);
+                }
+            }, Pen.BATCH_INTERVAL);
+        }
+    };
+
     const draw_brush = (stroke_radius) => {
         brush_layer.clear();
+        if (figure !== null) {
+            draw_action(figure, brush_layer.draw);
+        }
+        const unsent = pen.held ? pen.unsent() : null;
+        // There's nothing to see of erasing on the brush layer, so we have to wait for it to be
+        // sent.
+        if (unsent !== null && pen.start_state.tool !== "eraser") {
+            const points = { shape: "points", stroke: pen.stroke, points: unsent };
+            const strokes = brush_layer.draw.layer();
+            let alpha = 1;
+            for (const bridge of Protocol.expand([points], stroke_headers)) {
+                let opaque;
+                [opaque, alpha] = Protocol.split_opacity(bridge);
+                draw_action(opaque, strokes);
+            }
+            brush_layer.draw.composite(strokes, alpha);
+        }
         if (pen.state !== null) {
             brush_layer.draw.circle(pen.state.x, pen.state.y, 0.5 * stroke_radius, false);
             if (pen.state.pointerType !== "mouse") {
@@ -570,35 +2778,141 @@ document.addEventListener("DOMContentLoaded", () => {
         }
     }
 
+    // We let the other participants know where our cursor is, but no more often than every
+    // `CURSOR_INTERVAL` milliseconds.
+    const CURSOR_INTERVAL = 50;
+    let cursor_timeout = null;
+    const send_cursor = () => {
+        if (cursor_timeout === null) {
+            cursor_timeout = setTimeout(() => {
+                cursor_timeout = null;
+                client.send_message({
+                    kind: "cursor",
+                    x: pen.state.x,
+                    y: pen.state.y,
+                });
+            }, CURSOR_INTERVAL);
+        }
+    };
+
     const pointer_move = (event) => {
         event.preventDefault();
 
-        const now = pen_state_from_event(event);
-        if (event.buttons & SECONDARY_PEN_BUTTON || event.shiftKey) {
-            // Unfortunately, for some pens, `events.buttons` is only updated when the
-            // pen is held down, not when hovering, so we can't update the cursor in
-            // this case.
-            update_state_for_tool(now, ALT_TOOL);
+        if (touches.has(event.pointerId)) {
+            touches.set(event.pointerId, [event.clientX, event.clientY]);
+            if (gesture !== null) {
+                const now = gesture_state();
+                pan_by(now.midpoint[0] - gesture.midpoint[0], now.midpoint[1] - gesture.midpoint[1]);
+                if (gesture.distance > 0) {
+                    zoom_at(...now.midpoint, now.distance / gesture.distance);
+                }
+                gesture = now;
+                return;
+            }
+        }
+        if (panning !== null) {
+            pan_by(event.clientX - panning[0], event.clientY - panning[1]);
+            panning = [event.clientX, event.clientY];
+            return;
         }
 
-        if (pen.held && pen.changed(now)) {
-            client.send_message({
-                kind: "draw",
-                shape: "bridge",
-                from: pen.state.as_message(),
-                to: now.as_message(),
-            });
+        const state_from_event = (event) => {
+            const state = pen_state_from_event(event);
+            if (event.buttons & SECONDARY_PEN_BUTTON || event.shiftKey) {
+                // Unfortunately, for some pens, `events.buttons` is only updated when the
+                // pen is held down, not when hovering, so we can't update the cursor in
+                // this case.
+                update_state_for_tool(state, ALT_TOOL);
+            }
+            return state;
+        };
+        const now = state_from_event(event);
+
+        if (figure !== null) {
+            figure.to = { x: now.x, y: now.y };
+        }
+        if (lasso !== null) {
+            lasso.push([now.x, now.y]);
+            draw_selection();
+        }
+        if (dragging !== null) {
+            dragging.dx = now.x - dragging.from[0];
+            dragging.dy = now.y - dragging.from[1];
+            draw_selection();
+        }
+        if (stroke_eraser !== null) {
+            erase_strokes(now.x, now.y);
+        }
+
+        if (pen.held) {
+            // Browsers only send one pointer event per frame, but pens may report their state
+            // much more often than that, in which case we follow those states too, so that fast
+            // strokes keep their shape.
+            const coalesced = typeof event.getCoalescedEvents === "function"
+                ? event.getCoalescedEvents().slice(0, -1).map(state_from_event)
+                : [];
+            for (const state of coalesced.concat([now])) {
+                const last = pen.points[pen.points.length - 1];
+                const spacing = Math.hypot(state.x - last.x, state.y - last.y) * viewport.zoom;
+                if ((state !== now && spacing < Pen.MIN_SPACING) || !pen.changed(state)) {
+                    continue;
+                }
+                if (!pen.continues(state)) {
+                    // The tool has changed part-way through the stroke (e.g. because Shift was
+                    // pressed), so we start a new one.
+                    send_points(pen.finish());
+                    pen.state = state;
+                    start_stroke();
+                    continue;
+                }
+                pen.advance(state);
+                if (pen.full) {
+                    send_points(pen.flush());
+                }
+            }
+            schedule_points();
         }
 
         pen.state = now;
 
         draw_brush(pen.state.stroke_radius);
+        send_cursor();
     };
 
     const pointer_up = (event) => {
+        touches.delete(event.pointerId);
+        if (touches.size < 2) {
+            gesture = null;
+        }
+        if (panning !== null) {
+            event.preventDefault();
+            panning = null;
+            return;
+        }
         if (event.button === -1 || event.button === 0) {
             event.preventDefault();
-            pen.held = false;
+            send_points(pen.finish());
+            if (figure !== null) {
+                if (figure.from.x !== figure.to.x || figure.from.y !== figure.to.y) {
+                    client.send_message(figure);
+                }
+                figure = null;
+                if (pen.state !== null) {
+                    draw_brush(pen.state.stroke_radius);
+                }
+            }
+            if (lasso !== null) {
+                finish_lasso();
+            }
+            stroke_eraser = null;
+            if (dragging !== null) {
+                const { dx, dy } = dragging;
+                dragging = null;
+                if (dx !== 0 || dy !== 0) {
+                    edit_selection("move", { dx, dy });
+                }
+                draw_selection();
+            }
         }
     };
 
@@ -648,16 +2962,80 @@ document.addEventListener("DOMContentLoaded", () => {
     // If the stylus is deactivated, we want to treat it as lifting the stylus.
     canvas.element.addEventListener("pointercancel", pointer_up);
 
+    // We ignore keyboard shortcuts while the user is typing.
+    const typing = (event) => ["INPUT", "TEXTAREA"].includes(event.target.tagName);
+
     // The shift key is used to toggle the alt tool (if the user's not using the
     // stylus buttons).
     document.addEventListener("keydown", (event) => {
+        if (typing(event)) {
+            return;
+        }
         if (event.key === "Shift" && pen.state !== null) {
             event.preventDefault();
             update_state_for_tool(pen.state, ALT_TOOL);
             draw_brush(pen.state.stroke_radius);
         }
     });
+    // Holding the space bar lets the user pan the canvas by dragging, and Ctrl/Cmd + 0 resets the
+    // view.
+    document.addEventListener("keydown", (event) => {
+        if (typing(event)) {
+            return;
+        }
+        if (event.key === " ") {
+            event.preventDefault();
+            space_held = true;
+            document.body.classList.add("panning");
+        }
+        if ((event.ctrlKey || event.metaKey) && event.key === "0") {
+            event.preventDefault();
+            stop_following();
+            Object.assign(viewport, { x: 0, y: 0, zoom: 1 });
+            update_view();
+        }
+    });
+    document.addEventListener("keyup", (event) => {
+        if (typing(event)) {
+            return;
+        }
+        if (event.key === " ") {
+            space_held = false;
+            document.body.classList.remove("panning");
+        }
+    });
+    // The selection may be deleted with the Delete or Backspace keys, and deselected with Escape.
+    document.addEventListener("keydown", (event) => {
+        if (typing(event) || selection.size === 0) {
+            return;
+        }
+        if (event.key === "Delete" || event.key === "Backspace") {
+            event.preventDefault();
+            edit_selection("delete");
+        } else if (event.key === "Escape") {
+            selection.clear();
+            draw_selection();
+        }
+    });
+
+    // Undo and redo use the usual keyboard shortcuts.
+    document.addEventListener("keydown", (event) => {
+        if (typing(event) || playback !== null) {
+            return;
+        }
+        if ((event.ctrlKey || event.metaKey) && ["z", "y"].includes(event.key.toLowerCase())) {
+            event.preventDefault();
+            const redo = event.key.toLowerCase() === "y" || event.shiftKey;
+            client.send_message({
+                kind: "draw",
+                shape: redo ? "redo" : "undo",
+            });
+        }
+    });
     document.addEventListener("keyup", (event) => {
+        if (typing(event)) {
+            return;
+        }
         if (event.key === "Shift" && pen.state !== null && !tools.eraser.active) {
             event.preventDefault();
             update_state_for_tool(pen.state, MAIN_TOOL);
@@ -665,18 +3043,297 @@ document.addEventListener("DOMContentLoaded", () => {
         }
     });
 
+    // Add an image file to the canvas, centred at `(x, y)`. The image is scaled down to fit on the
+    // canvas and, if necessary, re-encoded so that it's within the size limit for images.
+    const import_image = (file, x, y) => {
+        if (!drawable()) {
+            return;
+        }
+        const reader = new FileReader();
+        reader.addEventListener("load", () => {
+            const image = new Image();
+            image.addEventListener("load", () => {
+                // The image is displayed at its natural size, unless it doesn't fit in the view.
+                const scale = Math.min(width / image.naturalWidth, height / image.naturalHeight, 1);
+                const [w, h] = [image.naturalWidth * scale, image.naturalHeight * scale]
+                    .map((length) => length / viewport.zoom);
+                const encode = (resolution, type) => {
+                    resolution *= viewport.zoom;
+                    const encoder = document.createElement("canvas");
+                    encoder.width = Math.max(Math.round(w * resolution), 1);
+                    encoder.height = Math.max(Math.round(h * resolution), 1);
+                    encoder.getContext("2d").drawImage(image, 0, 0, encoder.width, encoder.height);
+                    return encoder.toDataURL(type, 0.9);
+                };
+                // We try the original image first, then PNG (which preserves transparency), then
+                // JPEG (which is much smaller for photographs) at decreasing resolutions.
+                const candidates = [
+                    () => reader.result,
+                    () => encode(Canvas.PIXEL_RATIO, "image/png"),
+                    ...[1, 0.5, 0.25, 0.125].map((r) => () => encode(Canvas.PIXEL_RATIO * r, "image/jpeg")),
+                ];
+                for (const candidate of candidates) {
+                    const message = {
+                        kind: "draw",
+                        shape: "image",
+                        stroke: next_stroke,
+                        layer: current_layer,
+                        x: x - w / 2,
+                        y: y - h / 2,
+                        width: w,
+                        height: h,
+                        src: candidate(),
+                    };
+                    if (Protocol.validate_client_message(message) === null) {
+                        ++next_stroke;
+                        client.send_message(message);
+                        return;
+                    }
+                }
+                window.alert("The image is too large to add to the canvas.");
+            });
+            image.addEventListener("error", () => window.alert("The image could not be loaded."));
+            image.src = reader.result;
+        });
+        reader.readAsDataURL(file);
+    };
+
+    // Load a board that was previously saved with `save_board` into the channel. The board is
+    // drawn on top of the existing canvas, on the current layer, as a single stroke, so that it may
+    // be undone at once.
+    const load_board = (file) => {
+        if (!drawable()) {
+            return;
+        }
+        const reader = new FileReader();
+        reader.addEventListener("load", () => {
+            let board;
+            try {
+                board = JSON.parse(reader.result);
+            } catch (error) {
+                window.alert("The file is not a valid board.");
+                return;
+            }
+            if (typeof board !== "object" || board === null || !Array.isArray(board.canvas)) {
+                window.alert("The file is not a valid board.");
+                return;
+            }
+            const stroke = next_stroke++;
+            const actions = board.canvas
+                .map((action) => Object.assign({}, action, { stroke, layer: current_layer }))
+                .filter((action) => {
+                    return Protocol.IMPORTABLE_SHAPES.includes(action.shape)
+                        && Protocol.validate_client_message(action) === null;
+                });
+            if (actions.length < board.canvas.length) {
+                console.error(`Skipped ${board.canvas.length - actions.length} invalid actions in the board.`);
+            }
+            if (!client.import_actions(actions)) {
+                window.alert("The board is too large to load into a channel.");
+            }
+        });
+        reader.readAsText(file);
+    };
+
+    // Images may be added to the canvas, and boards loaded, by opening them, dropping them onto
+    // the canvas, or pasting them.
+    const view_centre = () => [
+        viewport.x + width / 2 / viewport.zoom,
+        viewport.y + height / 2 / viewport.zoom,
+    ];
+    const open_file = (file, x = view_centre()[0], y = view_centre()[1]) => {
+        if (file.type.startsWith("image/")) {
+            import_image(file, x, y);
+        } else {
+            load_board(file);
+        }
+    };
+    canvas.element.addEventListener("dragover", (event) => event.preventDefault());
+    canvas.element.addEventListener("drop", (event) => {
+        event.preventDefault();
+        const { x, y } = PenState.from_event(event, canvas.element, viewport);
+        for (const file of event.dataTransfer.files) {
+            open_file(file, x, y);
+        }
+    });
+    document.addEventListener("paste", (event) => {
+        for (const item of event.clipboardData.items) {
+            if (item.kind === "file" && item.type.startsWith("image/")) {
+                event.preventDefault();
+                if (pen.state !== null) {
+                    import_image(item.getAsFile(), pen.state.x, pen.state.y);
+                } else {
+                    import_image(item.getAsFile(), ...view_centre());
+                }
+            }
+        }
+    });
+
     // Tool panel.
     const tool_panel = document.createElement("ul");
+    tool_panel.appendChild(colour_action.element);
     for (const tool of Object.values(tools)) {
         tool_panel.appendChild(tool.element);
     }
+    tool_panel.appendChild(fill_action.element);
+    // The selected strokes may be recoloured with the current colour, or deleted.
+    tool_panel.appendChild(new Action("Recolour", () => {
+        colour_picker.use();
+        edit_selection("recolour", { colour: colour_picker.colour });
+    }).element);
+    tool_panel.appendChild(new Action("Delete", () => edit_selection("delete")).element);
     document.body.appendChild(tool_panel);
 
     // Action panel.
     const action_panel = document.createElement("ul");
+    action_panel.appendChild(new Action("New", () => client.create_channel()).element);
+    action_panel.appendChild(new Action("Private", () => {
+        const password = window.prompt(
+            "Enter a password for the new private channel, or leave it empty to allow only those "
+                + "you invite to join.",
+        );
+        if (password !== null) {
+            client.create_channel(password !== "" ? { password } : { private: true });
+        }
+    }).element);
+    action_panel.appendChild(new Action("Share", () => {
+        if (client.links === null) {
+            window.alert("Only the owner of a channel can invite others to it.");
+            return;
+        }
+        const link = (query_string) => `${window.location.origin}${window.location.pathname}?${query_string}`;
+        window.prompt("Share this link to invite others to draw:", link(client.links.editor));
+        window.prompt("Share this link to invite others to watch:", link(client.links.viewer));
+    }).element);
+    action_panel.appendChild(new Action("Spectate", () => {
+        if (client.offline) {
+            show_error("Only channels may be spectated.");
+            return;
+        }
+        // Spectators join as viewers, with none of the tools shown. In a private channel, only
+        // the owner may invite them, as we mustn't give away our own invitation (or the password
+        // with which we joined), and spectators couldn't join without one.
+        let query_string = `channel=${client.channel}`;
+        if (client.links !== null) {
+            query_string = atob(client.links.viewer);
+        } else if (client.token !== null || client.password !== null) {
+            window.alert("Only the owner of a channel can invite others to it.");
+            return;
+        }
+        window.prompt(
+            "Share this link to invite others to spectate:",
+            `${window.location.origin}${window.location.pathname}?${btoa(`${query_string}&spectate=1`)}`,
+        );
+    }).element);
+    const present_action = new Action("Present", () => {
+        if (client.offline) {
+            show_error("Only channels may be presented.");
+            return;
+        }
+        if (client.role === "viewer") {
+            show_error("Viewers may not present.");
+            return;
+        }
+        client.present(presenter !== client.id);
+    });
+    action_panel.appendChild(present_action.element);
+    action_panel.appendChild(new Action("Name", () => {
+        const name = window.prompt("What name would you like to be displayed to others?", client.name || "");
+        if (name !== null) {
+            window.localStorage.setItem("name", name);
+            client.rename(name);
+        }
+    }).element);
+    action_panel.appendChild(new Action("Pressure", () => {
+        const curve = window.prompt(
+            "How firmly would you like to press with a pen? At 1, the width of strokes is "
+                + "proportional to pressure; higher values mean pressing harder for wide strokes, "
+                + "and lower values more lightly.",
+            PenState.pressure_curve,
+        );
+        if (curve !== null) {
+            if (Number.isFinite(parseFloat(curve)) && parseFloat(curve) > 0) {
+                PenState.pressure_curve = parseFloat(curve);
+                window.localStorage.setItem("pressure_curve", PenState.pressure_curve);
+            } else {
+                window.alert("The pressure curve must be a positive number.");
+            }
+        }
+    }).element);
+    action_panel.appendChild(new Action("PNG", () => {
+        const scale = window.prompt("At what scale would you like to export the canvas?", "2");
+        if (scale !== null) {
+            if (Number.isFinite(parseFloat(scale)) && parseFloat(scale) > 0) {
+                export_image("png", parseFloat(scale));
+            } else {
+                window.alert("The scale must be a positive number.");
+            }
+        }
+    }).element);
+    action_panel.appendChild(new Action("SVG", () => export_image("svg")).element);
+    action_panel.appendChild(new Action("Save", save_board).element);
+    action_panel.appendChild(new Action("Open", () => {
+        const input = document.createElement("input");
+        input.type = "file";
+        input.accept = "application/json,.json,image/*";
+        input.addEventListener("change", () => {
+            for (const file of input.files) {
+                open_file(file);
+            }
+        });
+        input.click();
+    }).element);
+    action_panel.appendChild(new Action("Replay", () => {
+        if (client.offline) {
+            show_error("Only channels are recorded.");
+            return;
+        }
+        client.request_recording()
+            .then(start_playback)
+            .catch((error) => console.error("Failed to load the recording:", error));
+    }).element);
+    action_panel.appendChild(new Action("History", () => {
+        if (client.offline) {
+            show_error("Only channels have a history.");
+            return;
+        }
+        checkpoints_panel.classList.toggle("hidden");
+        if (!checkpoints_panel.classList.contains("hidden")) {
+            client.request_checkpoints();
+        }
+    }).element);
+    action_panel.appendChild(new Action("Undo", () => {
+        if (!editable()) {
+            return;
+        }
+        client.send_message({
+            kind: "draw",
+            shape: "undo",
+        });
+    }).element);
+    action_panel.appendChild(new Action("Redo", () => {
+        if (!editable()) {
+            return;
+        }
+        client.send_message({
+            kind: "draw",
+            shape: "redo",
+        });
+    }).element);
     action_panel.appendChild(new Action("Clear", () => {
-        if (window.confirm("Are you sure you want to clear the canvas?")) {
+        if (!editable()) {
+            return;
+        }
+        if (layers.some((layer) => layer.locked)) {
+            show_error("The canvas may not be cleared while a layer is locked.");
+            return;
+        }
+        const message = client.offline
+            ? "Are you sure you want to clear the canvas?"
+            : "Are you sure you want to clear the canvas? It may be restored from its history.";
+        if (window.confirm(message)) {
             canvas.clear();
+            clear_layers();
             client.send_message({
                 kind: "draw",
                 shape: "clear",
@@ -685,6 +3342,301 @@ document.addEventListener("DOMContentLoaded", () => {
     }).element);
     document.body.appendChild(action_panel);
 
+    // Layers panel, which lists the layers from top to bottom. Clicking on a layer's name means
+    // we draw on it from then on, and double-clicking on it renames the layer.
+    const layers_panel = document.createElement("div");
+    layers_panel.classList.add("layers");
+    document.body.appendChild(layers_panel);
+    const update_layers_panel = () => {
+        layers_panel.textContent = "";
+        const update_layer = (layer, changes) => {
+            client.update_layers(Object.assign({ kind: "update_layer", layer: layer.id }, changes));
+        };
+        const button = (label, title, action, disabled = false) => {
+            const element = document.createElement("button");
+            element.appendChild(document.createTextNode(label));
+            element.title = title;
+            element.disabled = disabled;
+            element.addEventListener("click", action);
+            return element;
+        };
+        // Layer names are checked before they're sent, so that we can say what's wrong with them.
+        const prompt_name = (message, name) => {
+            name = window.prompt(message, name);
+            if (name === null) {
+                return null;
+            }
+            name = name.trim();
+            if (name === "" || name.length > Protocol.MAX_LAYER_NAME_LENGTH) {
+                window.alert(`Layer names must have between 1 and ${Protocol.MAX_LAYER_NAME_LENGTH} characters.`);
+                return null;
+            }
+            return name;
+        };
+        layers.forEach((layer, index) => {
+            const entry = document.createElement("div");
+            entry.classList.toggle("current", layer.id === current_layer);
+            entry.classList.toggle("hidden", layer.hidden);
+            const name = document.createElement("span");
+            name.appendChild(document.createTextNode(layer.name));
+            name.addEventListener("click", () => {
+                current_layer = layer.id;
+                update_layers_panel();
+            });
+            name.addEventListener("dblclick", () => {
+                const new_name = prompt_name("What would you like to call this layer?", layer.name);
+                if (new_name !== null) {
+                    update_layer(layer, { name: new_name });
+                }
+            });
+            entry.appendChild(name);
+            entry.appendChild(button(layer.hidden ? "Show" : "Hide", "Toggle the visibility of the layer", () => {
+                update_layer(layer, { hidden: !layer.hidden });
+            }));
+            entry.appendChild(button(layer.locked ? "Unlock" : "Lock", "Toggle whether the layer may be drawn on", () => {
+                update_layer(layer, { locked: !layer.locked });
+            }));
+            entry.appendChild(button("\u2191", "Move the layer up", () => {
+                update_layer(layer, { index: index + 1 });
+            }, index === layers.length - 1));
+            entry.appendChild(button("\u2193", "Move the layer down", () => {
+                update_layer(layer, { index: index - 1 });
+            }, index === 0));
+            layers_panel.prepend(entry);
+        });
+        layers_panel.appendChild(button("Add layer", "Add a layer above the others", () => {
+            const name = prompt_name("What would you like to call the new layer?", `Layer ${layers.length + 1}`);
+            if (name !== null) {
+                client.update_layers({ kind: "add_layer", name });
+            }
+        }, layers.length >= Protocol.MAX_LAYERS));
+    };
+    update_layers_panel();
+
+    // Checkpoints panel, which lists the checkpoints of the canvas from newest to oldest, any of
+    // which may be restored, and with which new checkpoints may be taken.
+    const checkpoints_panel = document.createElement("div");
+    checkpoints_panel.classList.add("checkpoints", "hidden");
+    document.body.appendChild(checkpoints_panel);
+    const update_checkpoints_panel = () => {
+        checkpoints_panel.textContent = "";
+        const take = document.createElement("button");
+        take.appendChild(document.createTextNode("Take checkpoint"));
+        take.addEventListener("click", () => {
+            let name = window.prompt("What would you like to call the checkpoint?", "");
+            if (name === null) {
+                return;
+            }
+            name = name.trim();
+            if (name === "" || name.length > Protocol.MAX_CHECKPOINT_NAME_LENGTH) {
+                window.alert(`Checkpoint names must have between 1 and ${Protocol.MAX_CHECKPOINT_NAME_LENGTH} characters.`);
+                return;
+            }
+            client.take_checkpoint(name);
+        });
+        checkpoints_panel.appendChild(take);
+        for (const checkpoint of checkpoints) {
+            const entry = document.createElement("div");
+            const name = document.createElement("span");
+            name.appendChild(document.createTextNode(checkpoint.name));
+            entry.appendChild(name);
+            // Checkpoints taken automatically have no author.
+            let description = new Date(checkpoint.time).toLocaleString();
+            if (checkpoint.author === client.id) {
+                description += " by you";
+            } else if (participants.has(checkpoint.author)) {
+                description += ` by ${participants.get(checkpoint.author).name}`;
+            }
+            const time = document.createElement("small");
+            time.appendChild(document.createTextNode(description));
+            entry.appendChild(time);
+            const restore = document.createElement("button");
+            restore.appendChild(document.createTextNode("Restore"));
+            restore.addEventListener("click", () => {
+                if (layers.some((layer) => layer.locked)) {
+                    show_error("The canvas may not be restored while a layer is locked.");
+                    return;
+                }
+                if (window.confirm(
+                    `Are you sure you want to replace the canvas with "${checkpoint.name}" for `
+                        + "everyone? The current canvas will be kept as a checkpoint.",
+                )) {
+                    client.restore_checkpoint(checkpoint.id);
+                }
+            });
+            entry.appendChild(restore);
+            take.after(entry);
+        }
+    };
+    update_checkpoints_panel();
+
+    // Long pauses in a recording (e.g. when everyone had left the channel) are shortened to this
+    // when it's played back, so that the timelapse isn't mostly empty.
+    const MAX_PLAYBACK_PAUSE = 2 * Client.SECOND;
+    // Skipping ahead by more than this many actions redraws the canvas once, rather than drawing
+    // each action in turn.
+    const MAX_PLAYBACK_STEPS = 100;
+    const PLAYBACK_SPEEDS = [1, 2, 4, 8, 16, 32];
+
+    // Playback bar, with which the recording is played, paused, scrubbed through, sped up and left.
+    const playback_bar = document.createElement("div");
+    playback_bar.classList.add("playback", "hidden");
+    const play_button = document.createElement("button");
+    const scrubber = document.createElement("input");
+    scrubber.type = "range";
+    scrubber.min = 0;
+    scrubber.step = "any";
+    const playback_time = document.createElement("span");
+    const speed_select = document.createElement("select");
+    for (const speed of PLAYBACK_SPEEDS) {
+        const option = document.createElement("option");
+        option.value = speed;
+        option.appendChild(document.createTextNode(`${speed}\u00d7`));
+        speed_select.appendChild(option);
+    }
+    const exit_button = document.createElement("button");
+    exit_button.appendChild(document.createTextNode("Exit"));
+    playback_bar.append(play_button, scrubber, playback_time, speed_select, exit_button);
+    document.body.appendChild(playback_bar);
+
+    const update_playback_bar = () => {
+        play_button.textContent = playback.playing ? "Pause" : "Play";
+        scrubber.max = playback.moments[playback.moments.length - 1];
+        scrubber.value = playback.position;
+        // We display when (and by whom) the last action to be played was drawn.
+        const action = playback.actions[playback.index - 1];
+        playback_time.textContent = "";
+        if (action !== undefined && action.time !== undefined) {
+            const author = participants.get(action.author);
+            playback_time.textContent = new Date(action.time).toLocaleString()
+                + (author !== undefined ? ` (${author.name})` : "");
+        }
+    };
+
+    // Play the recording up to `position`, either by drawing the actions up to then or, when
+    // skipping backwards (or far ahead), by redrawing the canvas from the last clear before it.
+    const seek = (position) => {
+        const { actions, moments } = playback;
+        playback.position = Math.max(0, Math.min(position, moments[moments.length - 1]));
+        let index = playback.index;
+        while (index < actions.length && moments[index] <= playback.position) {
+            ++index;
+        }
+        while (index > 0 && moments[index - 1] > playback.position) {
+            --index;
+        }
+        if (index < playback.index || index - playback.index > MAX_PLAYBACK_STEPS) {
+            client.delegate.reset();
+            const played = actions.slice(0, index);
+            canvas_history = played.slice(played.map((action) => action.shape).lastIndexOf("clear") + 1);
+            Protocol.expand(canvas_history, stroke_headers);
+            redraw();
+        } else {
+            for (const action of actions.slice(playback.index, index)) {
+                client.delegate.draw(action, true);
+            }
+        }
+        playback.index = index;
+        update_playback_bar();
+    };
+
+    const play_frame = (now) => {
+        if (playback.frame !== null) {
+            seek(playback.position + (now - playback.frame) * playback.speed);
+        }
+        playback.frame = now;
+        if (playback.index < playback.actions.length) {
+            playback.request = window.requestAnimationFrame(play_frame);
+        } else {
+            playback.playing = false;
+            update_playback_bar();
+        }
+    };
+
+    const toggle_playback = () => {
+        playback.playing = !playback.playing;
+        window.cancelAnimationFrame(playback.request);
+        if (playback.playing) {
+            if (playback.index === playback.actions.length) {
+                // Playing a recording that has finished starts it again.
+                seek(0);
+            }
+            playback.frame = null;
+            playback.request = window.requestAnimationFrame(play_frame);
+        }
+        update_playback_bar();
+    };
+
+    // Start playing back the recording `actions` in place of the canvas.
+    const start_playback = (actions) => {
+        if (playback !== null) {
+            return;
+        }
+        if (actions.length === 0) {
+            show_error("Nothing has been drawn in this channel yet.");
+            return;
+        }
+        client.defer();
+        commit_text();
+        pen.held = false;
+        figure = null;
+        const moments = [0];
+        for (let i = 1; i < actions.length; ++i) {
+            // Actions recorded without a time are played along with the one before.
+            const pause = actions[i].time - actions[i - 1].time;
+            moments.push(moments[i - 1] + (pause > 0 ? Math.min(pause, MAX_PLAYBACK_PAUSE) : 0));
+        }
+        playback = {
+            actions,
+            moments,
+            index: 0,
+            position: 0,
+            speed: parseFloat(speed_select.value),
+            playing: false,
+            frame: null,
+            request: null,
+            live: {
+                canvas_history,
+                canvas_snapshot,
+                canvas_overflow,
+                canvas_headers,
+                stroke_headers,
+                images,
+            },
+        };
+        document.body.classList.add("playing_back");
+        playback_bar.classList.remove("hidden");
+        client.delegate.reset();
+        seek(0);
+        toggle_playback();
+    };
+
+    // Return to the live canvas, catching up with anything that was drawn in the meantime.
+    const stop_playback = () => {
+        window.cancelAnimationFrame(playback.request);
+        client.delegate.reset();
+        ({
+            canvas_history,
+            canvas_snapshot,
+            canvas_overflow,
+            canvas_headers,
+            stroke_headers,
+            images,
+        } = playback.live);
+        playback = null;
+        document.body.classList.remove("playing_back");
+        playback_bar.classList.add("hidden");
+        redraw();
+        client.resume();
+    };
+
+    play_button.addEventListener("click", toggle_playback);
+    scrubber.addEventListener("input", () => seek(parseFloat(scrubber.value)));
+    speed_select.addEventListener("change", () => {
+        playback.speed = parseFloat(speed_select.value);
+    });
+    exit_button.addEventListener("click", stop_playback);
+
     const update_stroke_radius = (value) => {
         stroke_radius = value;
         let scale = 1;
@@ -706,11 +3658,21 @@ document.addEventListener("DOMContentLoaded", () => {
     range_wrapper.appendChild(stroke_range);
     document.body.appendChild(stroke_range);
 
-    // The user can also change the range of stroke sizes by scrolling (or using
-    // the secondary button and dragging using a stylus).
+    // Scrolling pans the canvas, or zooms it while holding Ctrl or Cmd (which is also how trackpads
+    // report pinching). The user can also change the range of stroke sizes by scrolling while
+    // holding Alt (or using the secondary button and dragging using a stylus).
     window.addEventListener("wheel", (event) => {
         event.preventDefault();
-        stroke_range.value = Math.round(stroke_radius + event.deltaY / SCROLL_DAMPENING);
-        update_stroke_radius(parseInt(stroke_range.value));
+        // Some browsers report scrolling in lines, rather than pixels.
+        const unit = event.deltaMode === WheelEvent.DOM_DELTA_LINE ? 16 : 1;
+        const [dx, dy] = [event.deltaX * unit, event.deltaY * unit];
+        if (event.altKey) {
+            stroke_range.value = Math.round(stroke_radius + dy / SCROLL_DAMPENING);
+            update_stroke_radius(parseInt(stroke_range.value));
+        } else if (event.ctrlKey || event.metaKey) {
+            zoom_at(event.clientX, event.clientY, Math.exp(-dy / ZOOM_DAMPENING));
+        } else {
+            pan_by(-dx, -dy);
+        }
     }, { passive: false });
 });
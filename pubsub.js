@@ -0,0 +1,50 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+// Carries messages between the server processes that share channels, so that the participants in
+// a channel may be connected to different processes. This base class is for when there is only
+// one process, so there is nobody to carry messages to. Adapters for message brokers extend it,
+// and are chosen with the `PUBSUB_ADAPTER` environment variable (see `server.js`). Processes that
+// share channels must share their storage too (see `STORAGE_ADAPTER`).
+class PubSub {
+    constructor() {
+        // Identifies this process to the others.
+        this.id = crypto.randomBytes(8).toString("hex");
+    }
+
+    // Send a message (any JSON-serialisable object) to every other process.
+    publish(message) {}
+
+    // Call `listener(message)` with every message published by another process, in the order
+    // they were published.
+    subscribe(listener) {}
+}
+
+// Carries messages between the `LocalPubSub`s in a single process that share a hub, standing in
+// for a message broker, e.g. so that several servers may be run side by side in tests. As with a
+// real broker, messages are serialised and delivered asynchronously.
+class LocalPubSub extends PubSub {
+    constructor(hub = LocalPubSub.HUB) {
+        super();
+        this.hub = hub;
+    }
+
+    publish(message) {
+        const json = JSON.stringify(message);
+        setImmediate(() => this.hub.emit("message", this.id, json));
+    }
+
+    subscribe(listener) {
+        this.hub.on("message", (sender, json) => {
+            if (sender !== this.id) {
+                listener(JSON.parse(json));
+            }
+        });
+    }
+}
+
+// The hub shared by `LocalPubSub`s that aren't given their own.
+LocalPubSub.HUB = new EventEmitter();
+LocalPubSub.HUB.setMaxListeners(0);
+
+module.exports = { PubSub, LocalPubSub };
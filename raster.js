@@ -0,0 +1,393 @@
+const zlib = require("zlib");
+const Protocol = require("./client/protocol");
+
+// Parse a CSS colour into its RGBA components. Clients only send colours that have been validated,
+// but we fall back to black just in case.
+const parse_colour = (colour) => Protocol.parse_colour(colour) || [0, 0, 0, 255];
+
+// The CRC-32 checksums used by PNG chunks.
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; ++k) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+const crc32 = (buffer) => {
+    let crc = -1;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+};
+
+// A headless canvas for drawing actions on the server, without needing a native canvas library.
+// Pixels are filled (without anti-aliasing) if their centres lie within a shape. The geometry
+// mirrors that of `Draw` in the client, so that the result looks the same as the client's canvas.
+class Raster {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.clear();
+    }
+
+    clear() {
+        // The raster is transparent, so that the client may draw it over its own background.
+        this.pixels = new Uint8ClampedArray(this.width * this.height * 4);
+        // The translucent strokes that are still being drawn, by author. Each is drawn opaquely
+        // onto its own raster, which is composited onto this one once its author starts another
+        // stroke. See `Protocol.split_opacity`.
+        this.layers = new Map();
+    }
+
+    // Blend the pixels of `source` onto `target` (both RGBA arrays of the same size), with the
+    // opacity `alpha`.
+    static composite(target, source, alpha) {
+        for (let i = 0; i < target.length; i += 4) {
+            const a = source[i + 3] / 255 * alpha;
+            if (a === 0) {
+                continue;
+            }
+            const b = target[i + 3] / 255 * (1 - a);
+            const out = a + b;
+            for (let c = 0; c < 3; ++c) {
+                target[i + c] = (source[i + c] * a + target[i + c] * b) / out;
+            }
+            target[i + 3] = out * 255;
+        }
+    }
+
+    // Composite an author's translucent stroke onto the raster.
+    flatten(author) {
+        const layer = this.layers.get(author);
+        Raster.composite(this.pixels, layer.raster.pixels, layer.alpha);
+        this.layers.delete(author);
+    }
+
+    // Fill the pixels in the row `y` between `x0` and `x1` (pixel-centre coordinates), using the
+    // colour returned by `colour_at`.
+    span(y, x0, x1, colour_at) {
+        if (y < 0 || y >= this.height) {
+            return;
+        }
+        const start = Math.max(Math.ceil(x0 - 0.5), 0);
+        const end = Math.min(Math.floor(x1 - 0.5), this.width - 1);
+        for (let x = start; x <= end; ++x) {
+            const [r, g, b, a] = colour_at(x + 0.5, y + 0.5);
+            const i = (y * this.width + x) * 4;
+            this.pixels[i] = r;
+            this.pixels[i + 1] = g;
+            this.pixels[i + 2] = b;
+            this.pixels[i + 3] = a;
+        }
+    }
+
+    // Returns the first and last rows of the raster whose pixel centres lie between `y0` and `y1`.
+    // Shapes may extend far beyond the raster, so we only visit the rows within it: if the shape
+    // misses the raster entirely, the last row precedes the first.
+    rows(y0, y1) {
+        return [Math.max(Math.ceil(y0 - 0.5), 0), Math.min(Math.floor(y1 - 0.5), this.height - 1)];
+    }
+
+    circle(cx, cy, r, colour_at) {
+        if (![cx, cy, r].every(Number.isFinite)) {
+            return;
+        }
+        const [top, bottom] = this.rows(cy - r, cy + r);
+        for (let y = top; y <= bottom; ++y) {
+            const dy = y + 0.5 - cy;
+            const dx = Math.sqrt(Math.max(r ** 2 - dy ** 2, 0));
+            this.span(y, cx - dx, cx + dx, colour_at);
+        }
+    }
+
+    // Fill a polygon, given as a list of `[x, y]` points, using the even-odd rule.
+    polygon(points, colour_at) {
+        if (!points.every(([x, y]) => Number.isFinite(x) && Number.isFinite(y))) {
+            // The canvas API similarly ignores paths with non-finite points.
+            return;
+        }
+        const ys = points.map(([, y]) => y);
+        const [top, bottom] = this.rows(Math.min(...ys), Math.max(...ys));
+        for (let y = top; y <= bottom; ++y) {
+            const py = y + 0.5;
+            const crossings = [];
+            for (let i = 0; i < points.length; ++i) {
+                const [[x0, y0], [x1, y1]] = [points[i], points[(i + 1) % points.length]];
+                if ((y0 <= py) !== (y1 <= py)) {
+                    crossings.push(x0 + (py - y0) / (y1 - y0) * (x1 - x0));
+                }
+            }
+            crossings.sort((a, b) => a - b);
+            for (let i = 0; i + 1 < crossings.length; i += 2) {
+                this.span(y, crossings[i], crossings[i + 1], colour_at);
+            }
+        }
+    }
+
+    // Smoothly connect two circles by computing their outer tangent lines. See
+    // `Draw.connect_circles` in the client.
+    connect_circles(x0, y0, r0, x1, y1, r1, colour_at) {
+        if (r0 === r1) {
+            // This corresponds to stroking a line of width `2 * r0`.
+            const length = Math.hypot(x1 - x0, y1 - y0);
+            if (length === 0) {
+                return;
+            }
+            const [nx, ny] = [-(y1 - y0) / length * r0, (x1 - x0) / length * r0];
+            this.polygon([
+                [x0 + nx, y0 + ny], [x1 + nx, y1 + ny], [x1 - nx, y1 - ny], [x0 - nx, y0 - ny],
+            ], colour_at);
+        } else {
+            if (r0 < r1) {
+                [x0, y0, r0, x1, y1, r1] = [x1, y1, r1, x0, y0, r0];
+            }
+
+            const xp = (x1 * r0 - x0 * r1) / (r0 - r1);
+            const yp = (y1 * r0 - y0 * r1) / (r0 - r1);
+
+            const tangent_coord = (a, ap, b, bp, r, s) => {
+                return a + (r ** 2 * (ap - a) + s * r * (bp - b) * Math.sqrt((ap - a) ** 2 + (bp - b) ** 2 - r ** 2)) / ((ap - a) ** 2 + (bp - b) ** 2);
+            };
+            const tangent_point = (x, y, r, s) => {
+                return [tangent_coord(x, xp, y, yp, r, s), tangent_coord(y, yp, x, xp, r, -s)];
+            };
+            const tangent_triple = (x, y, r) => {
+                return [tangent_point(x, y, r, 1), [x, y], tangent_point(x, y, r, -1)];
+            };
+
+            this.polygon(
+                tangent_triple(x0, y0, r0).concat(tangent_triple(x1, y1, r1).reverse()),
+                colour_at,
+            );
+        }
+    }
+
+    // Returns a function that computes the colour of a linear gradient at a given point.
+    static gradient(x0, y0, c0, x1, y1, c1) {
+        [c0, c1] = [parse_colour(c0), parse_colour(c1)];
+        const [dx, dy] = [x1 - x0, y1 - y0];
+        const length_squared = dx ** 2 + dy ** 2;
+        if (length_squared === 0) {
+            // The canvas API paints nothing for degenerate gradients, but the shapes they're used
+            // for are degenerate too, so this doesn't matter much.
+            return () => c1;
+        }
+        return (x, y) => {
+            const t = Math.min(Math.max(((x - x0) * dx + (y - y0) * dy) / length_squared, 0), 1);
+            return c0.map((c, i) => c + (c1[i] - c) * t);
+        };
+    }
+
+    static solid(colour) {
+        const rgba = parse_colour(colour);
+        return () => rgba;
+    }
+
+    // Whether `draw` paints anything for an action. Images and text are not drawn: clients draw
+    // those beneath and above the snapshot themselves.
+    static rasterises(data) {
+        return data.shape === "circle" || data.shape === "bridge" || Protocol.FIGURES.includes(data.shape);
+    }
+
+    // Draw an action, as recorded in `Channel.canvas`. This mirrors the client's `draw` delegate,
+    // except that images and text are not drawn (see `rasterises`).
+    draw(data) {
+        if (data.shape === "clear") {
+            this.clear();
+            return;
+        }
+        if (!Raster.rasterises(data)) {
+            return;
+        }
+        const layer = this.layers.get(data.author);
+        if (layer !== undefined && layer.stroke !== data.stroke) {
+            this.flatten(data.author);
+        }
+        const [opaque, alpha] = Protocol.split_opacity(data);
+        if (alpha < 1) {
+            if (!this.layers.has(data.author)) {
+                this.layers.set(data.author, {
+                    stroke: data.stroke,
+                    alpha,
+                    raster: new Raster(this.width, this.height),
+                });
+            }
+            this.layers.get(data.author).alpha = alpha;
+            this.layers.get(data.author).raster.paint(opaque);
+        } else {
+            this.paint(data);
+        }
+    }
+
+    // Paint an action directly onto the raster. Erasing paints transparent pixels (as painting
+    // replaces pixels, rather than blending with them).
+    paint(data) {
+        const colour = (state) => state.tool === "eraser" ? "transparent" : state.colour;
+        switch (data.shape) {
+            case "circle":
+                this.circle(data.at.x, data.at.y, data.at.radius, Raster.solid(colour(data.at)));
+                return;
+
+            case "bridge":
+                if (data.from.tool === data.to.tool) {
+                    const colour_at = Raster.gradient(
+                        data.from.x, data.from.y, colour(data.from),
+                        data.to.x, data.to.y, colour(data.to),
+                    );
+                    const points = Protocol.bridge_points(data);
+                    this.circle(points[0].x, points[0].y, points[0].radius, colour_at);
+                    for (let i = 1; i < points.length; ++i) {
+                        const [from, to] = [points[i - 1], points[i]];
+                        this.circle(to.x, to.y, to.radius, colour_at);
+                        this.connect_circles(
+                            from.x, from.y, from.radius,
+                            to.x, to.y, to.radius,
+                            colour_at,
+                        );
+                    }
+                } else {
+                    this.circle(data.to.x, data.to.y, data.to.radius, Raster.solid(colour(data.to)));
+                }
+                return;
+
+            case "line":
+            case "arrow":
+                this.blend(data.colour, (raster, colour_at) => {
+                    if (data.shape === "arrow") {
+                        const head = Protocol.arrowhead(
+                            data.from.x, data.from.y, data.to.x, data.to.y, data.width,
+                        );
+                        raster.polygon(head.points, colour_at);
+                        raster.line(data.from.x, data.from.y, ...head.base, data.width, colour_at, false);
+                    } else {
+                        raster.line(data.from.x, data.from.y, data.to.x, data.to.y, data.width, colour_at);
+                    }
+                });
+                return;
+
+            case "rectangle":
+            case "ellipse": {
+                const [x0, y0] = [Math.min(data.from.x, data.to.x), Math.min(data.from.y, data.to.y)];
+                const [x1, y1] = [Math.max(data.from.x, data.to.x), Math.max(data.from.y, data.to.y)];
+                const w = data.width / 2;
+                if (data.shape === "rectangle") {
+                    if (data.fill !== null) {
+                        this.blend(data.fill, (raster, colour_at) => {
+                            raster.polygon([[x0, y0], [x1, y0], [x1, y1], [x0, y1]], colour_at);
+                        });
+                    }
+                    this.blend(data.colour, (raster, colour_at) => {
+                        // The corners are rounded, as with the canvas API's round line joins.
+                        raster.line(x0, y0, x1, y0, data.width, colour_at);
+                        raster.line(x1, y0, x1, y1, data.width, colour_at);
+                        raster.line(x1, y1, x0, y1, data.width, colour_at);
+                        raster.line(x0, y1, x0, y0, data.width, colour_at);
+                    });
+                } else {
+                    const [cx, cy, rx, ry] = [(x0 + x1) / 2, (y0 + y1) / 2, (x1 - x0) / 2, (y1 - y0) / 2];
+                    if (data.fill !== null) {
+                        this.blend(data.fill, (raster, colour_at) => {
+                            raster.polygon(Raster.ellipse(cx, cy, rx, ry), colour_at);
+                        });
+                    }
+                    this.blend(data.colour, (raster, colour_at) => {
+                        // The outline is the region between two ellipses, which the even-odd rule
+                        // lets us fill as a single polygon.
+                        const outer = Raster.ellipse(cx, cy, rx + w, ry + w);
+                        const inner = rx > w && ry > w ? Raster.ellipse(cx, cy, rx - w, ry - w) : [];
+                        raster.polygon(outer.concat([outer[0]], inner, inner.slice(0, 1)), colour_at);
+                    });
+                }
+                return;
+            }
+        }
+    }
+
+    // Paint a figure made up of several overlapping parts with `colour`, calling `paint(raster,
+    // colour_at)` to paint the parts. Translucent figures are painted onto their own layer first,
+    // so that the overlapping parts aren't blended more than once.
+    blend(colour, paint) {
+        const [r, g, b, a] = parse_colour(colour);
+        if (a === 255) {
+            paint(this, Raster.solid(colour));
+            return;
+        }
+        const layer = new Raster(this.width, this.height);
+        paint(layer, () => [r, g, b, 255]);
+        Raster.composite(this.pixels, layer.pixels, a / 255);
+    }
+
+    // Paint a straight line of the given width, with round ends if `round` is true.
+    line(x0, y0, x1, y1, width, colour_at, round = true) {
+        if (round) {
+            this.circle(x0, y0, width / 2, colour_at);
+            this.circle(x1, y1, width / 2, colour_at);
+        }
+        this.connect_circles(x0, y0, width / 2, x1, y1, width / 2, colour_at);
+    }
+
+    // Returns a polygon approximating an ellipse.
+    static ellipse(cx, cy, rx, ry) {
+        const points = [];
+        for (let i = 0; i < Raster.ELLIPSE_SEGMENTS; ++i) {
+            const angle = i / Raster.ELLIPSE_SEGMENTS * 2 * Math.PI;
+            points.push([cx + rx * Math.cos(angle), cy + ry * Math.sin(angle)]);
+        }
+        return points;
+    }
+
+    // Encode the raster as a PNG, calling `callback(error, buffer)` once it is ready. We compress
+    // asynchronously, so that we don't block other channels while doing so.
+    encode_png(callback) {
+        // Any strokes that are still being drawn are included in the image, but stay on their own
+        // layers, so that they may be continued.
+        let pixels = this.pixels;
+        if (this.layers.size > 0) {
+            pixels = pixels.slice();
+            for (const layer of this.layers.values()) {
+                Raster.composite(pixels, layer.raster.pixels, layer.alpha);
+            }
+        }
+
+        // Each row of the image is prefixed with its filter type (0, i.e. no filter).
+        const row_length = this.width * 4;
+        const data = Buffer.alloc((row_length + 1) * this.height);
+        for (let y = 0; y < this.height; ++y) {
+            Buffer.from(pixels.buffer, y * row_length, row_length)
+                .copy(data, y * (row_length + 1) + 1);
+        }
+
+        const chunk = (type, contents) => {
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(contents.length);
+            const typed_contents = Buffer.concat([Buffer.from(type, "ascii"), contents]);
+            const crc = Buffer.alloc(4);
+            crc.writeUInt32BE(crc32(typed_contents));
+            return Buffer.concat([length, typed_contents, crc]);
+        };
+
+        zlib.deflate(data, (error, compressed) => {
+            if (error) {
+                callback(error);
+                return;
+            }
+            const header = Buffer.alloc(13);
+            header.writeUInt32BE(this.width, 0);
+            header.writeUInt32BE(this.height, 4);
+            // Bit depth 8, colour type 6 (RGBA), default compression, filtering and interlacing.
+            header.set([8, 6, 0, 0, 0], 8);
+            callback(null, Buffer.concat([
+                Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+                chunk("IHDR", header),
+                chunk("IDAT", compressed),
+                chunk("IEND", Buffer.alloc(0)),
+            ]));
+        });
+    }
+}
+
+// The number of sides of the polygons with which ellipses are approximated.
+Raster.ELLIPSE_SEGMENTS = 64;
+
+module.exports = { Raster };
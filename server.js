@@ -1,119 +1,1312 @@
 const WebSocket = require("ws");
 const readline = require("readline");
 const express = require("express");
+const crypto = require("crypto");
+const path = require("path");
+const { Storage, FileStorage } = require("./storage");
+const { PubSub } = require("./pubsub");
+const { Raster } = require("./raster");
+const Protocol = require("./client/protocol");
 
-// A room, which holds participants.
+// A room, which holds participants. When there are several server processes, each has its own copy
+// of every channel, which it keeps up to date with the messages the others publish (see `PubSub`).
+// The processes share their storage, so each change is only stored by the process that made it.
 class Channel {
-    constructor() {
+    constructor(name, storage, pubsub, persistent = false) {
+        this.name = name;
+        this.storage = storage;
+        this.pubsub = pubsub;
+        // Persistent channels are never garbage-collected, even when nobody is using them.
+        this.persistent = persistent;
+        // The participants connected to this process, and those connected to each other process
+        // (see `PubSub`), by the identifier of the process. The latter are of the form
+        // `{ participants, updated }`, where `participants` are as they appear in `presence`
+        // messages, and `updated` is when we last heard about them.
         this.participants = new Set();
-        // It'd be better if we could just keep track of the overall canvas, but that requires
-        // a Node.js library for doing canvas operations. For now, we're just going to record every
-        // action that's made and sent it to all participants. If it doesn't scale well, we'll
-        // approach it differently.
+        this.remote_participants = new Map();
+        // The time at which the channel was last left empty, or `null` if anyone is in it. New
+        // channels count as idle until someone joins, so that unused channels get cleaned up.
+        this.idle_since = Date.now();
+        // We record every action that's made, so that we can send them to participants when they
+        // join. Replaying every action doesn't scale well for busy channels, so we also
+        // periodically rasterise the canvas into a snapshot: participants are then sent the
+        // snapshot, and only those actions that have been made since.
         this.canvas = [];
+        // The latest snapshot, of the form `{ images, length }`, where `images` contains a PNG data
+        // URL of the region `Channel.SIZE` at the origin for each layer that has been drawn on, of
+        // the form `{ layer, image }`, and `length` is the number of actions in `canvas` that it
+        // includes. Each layer is rasterised separately, so that erasing only affects its own
+        // layer, and so that layers may be reordered and hidden without taking a new snapshot.
+        this.snapshot = null;
+        // The rasters from which snapshots are taken, by layer, and the number of actions drawn
+        // onto them. These are discarded when the channel is empty to save memory, and rebuilt
+        // when next needed.
+        this.rasters = null;
+        this.rasterised = 0;
+        // Whether a snapshot is currently being encoded, and a counter that is incremented whenever
+        // the raster is invalidated, so that we can discard out-of-date snapshots.
+        this.snapshotting = false;
+        this.generation = 0;
+        // Bookkeeping for undo, redo and edits, which is derived from `canvas`. Strokes are
+        // identified by keys of the form `author:stroke`. `strokes` maps each key to the stroke's
+        // identifier, its layer, the index of the first action in `canvas` that it affects
+        // (which, for an edit, is the first action of the earliest stroke it edits, in which case
+        // `edit` is also set, and `layers` holds the layers of the strokes it edits in place of
+        // `layer`), and, for freehand strokes, the index of their latest `circle` as
+        // `header`. `authors` maps each author to the keys of their strokes and of the strokes they
+        // may redo. `edits` maps each key to the indices in `canvas` of the edits to that stroke,
+        // and `headers` maps the index of each `points` action to that of the circle that gives
+        // its tool and colour (see `Protocol.expand`).
+        this.strokes = new Map();
+        this.undone = new Set();
+        this.authors = new Map();
+        this.edits = new Map();
+        this.headers = new Map();
+        // The identifier of the participant who is presenting, if anyone is, and the region of the
+        // canvas they're looking at, once they've told us, of the form `{ x, y, width, height }`.
+        this.presenter = null;
+        this.presented_view = null;
+        // Who may join the channel, and with which role (see `Protocol.ROLES`). `invites` maps
+        // invitation tokens to the roles they grant. Anyone may join a public channel as an
+        // editor, but private channels may only be joined with an invitation token, or with the
+        // password (stored as a salted hash), if there is one. The layers of the channel are
+        // stored alongside its settings, as is the list of its checkpoints, from oldest to newest
+        // (the actions of which are stored separately, as they may be large).
+        // Participants are also issued a secret session token when they join, so that if they have
+        // to reconnect, they can resume their identity (and so undo their earlier strokes).
+        // `sessions` maps each token to the identifier and role of the participant, and the
+        // invitation token with which they joined, if any, from oldest to newest. These are stored
+        // too, so that they may be resumed after the server restarts, or by a process that started
+        // after they joined.
+        this.settings = {
+            private: false,
+            password: null,
+            invites: {},
+            layers: Protocol.DEFAULT_LAYERS,
+            checkpoints: [],
+            sessions: {},
+        };
+    }
+
+    // The (base64-encoded) query string that clients use to open this channel. If `token` is given,
+    // this is included, so that the query string acts as an invitation.
+    query_string(token = null) {
+        const query = token !== null ? `channel=${this.name}&token=${token}` : `channel=${this.name}`;
+        return Buffer.from(query).toString("base64");
+    }
+
+    // Restrict who may join the channel, and create invitations for each role. `password` is as
+    // given by `hash_password`, or `null` if there is none. Returns the invitation tokens, keyed by
+    // role.
+    restrict(is_private, password) {
+        const tokens = {};
+        this.settings.invites = {};
+        for (const role of Protocol.ROLES) {
+            tokens[role] = crypto.randomBytes(16).toString("hex");
+            this.settings.invites[tokens[role]] = role;
+        }
+        this.settings.private = is_private || password !== null;
+        this.settings.password = password;
+        this.storage.save_settings(this.name, this.settings);
+        return tokens;
+    }
+
+    // Hash a password with a new salt, calling `callback(error, password)` with the salt and hash,
+    // as they are stored in `settings`. Hashing is deliberately slow, so we do it asynchronously,
+    // so as not to hold up every other channel in the meantime.
+    static hash_password(password, callback) {
+        const salt = crypto.randomBytes(16).toString("hex");
+        crypto.scrypt(password, salt, 32, (error, hash) => {
+            callback(error, error ? null : { salt, hash: hash.toString("hex") });
+        });
+    }
+
+    // Determine whether a participant's join message gives the password of the channel, calling
+    // `callback(matches)`. As with `hash_password`, this is asynchronous, unless there is no need
+    // to check the password, in which case the callback is called immediately.
+    check_password(data, callback) {
+        const { invites, password } = this.settings;
+        if (
+            password === null || data.password === undefined
+                || Object.prototype.hasOwnProperty.call(this.settings.sessions, data.session)
+                || Object.prototype.hasOwnProperty.call(invites, data.token)
+        ) {
+            callback(false);
+            return;
+        }
+        crypto.scrypt(data.password, password.salt, 32, (error, hash) => {
+            callback(!error && crypto.timingSafeEqual(hash, Buffer.from(password.hash, "hex")));
+        });
+    }
+
+    // Determine the role with which a participant may join, given their join message and whether it
+    // gives the password (see `check_password`), or throw if they may not join.
+    role_for(data, password_matches) {
+        const { invites, password } = this.settings;
+        if (data.token !== undefined && Object.prototype.hasOwnProperty.call(invites, data.token)) {
+            return invites[data.token];
+        }
+        if (password_matches) {
+            return "editor";
+        }
+        if (!this.settings.private) {
+            return "editor";
+        }
+        if (password !== null) {
+            throw new MessageError(
+                "password_required",
+                data.password !== undefined ? "The password was incorrect." : "This channel requires a password.",
+            );
+        }
+        throw new MessageError("forbidden", "This channel is private: you need an invitation to join it.");
+    }
+
+    // Replace the canvas with actions that have been loaded from storage. Actions that refer to
+    // strokes we don't know about are skipped (see `applicable`).
+    load(canvas) {
+        this.canvas = [];
+        for (const action of canvas) {
+            if (this.applicable(action)) {
+                this.canvas.push(action);
+                this.record(action, this.canvas.length - 1);
+            } else {
+                console.error(
+                    `Skipped an action for an unknown stroke in channel "${this.name}":`,
+                    action,
+                );
+            }
+        }
+    }
+
+    // Replace the canvas with different actions (e.g. none, when it's cleared), discarding the
+    // bookkeeping and snapshot for the old one. The new canvas is stored unless `store` is false.
+    replace_canvas(canvas, store = true) {
+        this.strokes.clear();
+        this.undone.clear();
+        this.authors.clear();
+        this.edits.clear();
+        this.headers.clear();
+        this.invalidate_raster(true);
+        this.load(canvas);
+        if (store) {
+            this.storage.compact(this.name, this.canvas);
+        }
+    }
+
+    // Let the other processes know about a change to the channel (see `receive_published`).
+    publish(type, data = {}) {
+        this.pubsub.publish(Object.assign({ type, channel: this.name }, data));
+    }
+
+    // Act upon a change to the channel that was made (and stored) by another process.
+    receive_published(message) {
+        switch (message.type) {
+            case "draw":
+                if (this.applicable(message.data)) {
+                    this.apply(message.data, false);
+                }
+                return;
+            case "restore":
+                this.replace_canvas(message.canvas, false);
+                for (const participant of this.participants) {
+                    this.send_canvas(participant);
+                }
+                return;
+            case "session":
+                this.add_session(message.session, message.id, message.role, message.invite);
+                return;
+            case "invites":
+                this.settings.invites = message.invites;
+                this.send_links();
+                return;
+            case "kick":
+                this.remove(message.id);
+                return;
+            case "presence":
+                if (message.participants.length > 0) {
+                    this.remote_participants.set(message.process, {
+                        participants: message.participants,
+                        updated: Date.now(),
+                    });
+                } else {
+                    this.remote_participants.delete(message.process);
+                }
+                this.update_idleness();
+                this.send_presence();
+                return;
+            case "cursor":
+                this.send_cursor(message.cursor);
+                return;
+            case "presenter":
+                this.presenter = message.presenter;
+                this.presented_view = null;
+                this.send_presence();
+                return;
+            case "viewport":
+                this.presented_view = message.view;
+                this.send_view();
+                return;
+            case "layers":
+                this.settings.layers = message.layers;
+                this.send_layers();
+                return;
+            case "checkpoints":
+                this.settings.checkpoints = message.checkpoints;
+                this.send_checkpoints();
+                return;
+        }
+        console.error(`Received an unknown message for channel "${this.name}":`, message);
+    }
+
+    // Take a checkpoint of the canvas, named `name`. Checkpoints taken by participants are
+    // attributed to them (`author`), whereas those taken automatically are not. Only the most
+    // recent `Channel.MAX_CHECKPOINTS` are kept.
+    checkpoint(name, author = null) {
+        const { checkpoints } = this.settings;
+        const id = checkpoints.length > 0 ? checkpoints[checkpoints.length - 1].id + 1 : 0;
+        this.storage.save_checkpoint(this.name, id, this.canvas);
+        checkpoints.push({ id, name, time: Date.now(), author });
+        while (checkpoints.length > Channel.MAX_CHECKPOINTS) {
+            this.storage.delete_checkpoint(this.name, checkpoints.shift().id);
+        }
+        this.storage.save_settings(this.name, this.settings);
+        this.publish("checkpoints", { checkpoints });
+        this.send_checkpoints();
+    }
+
+    // Send the list of checkpoints to a participant or, by default, to everyone.
+    send_checkpoints(participants = this.participants) {
+        const message = JSON.stringify({
+            kind: "checkpoints",
+            checkpoints: this.settings.checkpoints,
+        });
+        for (const participant of participants) {
+            participant.send(message);
+        }
+    }
+
+    // Replace the canvas with one of its checkpoints, for everyone. The canvas is checkpointed
+    // first, so that restoring is itself reversible.
+    restore(ws, id) {
+        if (ws.role === "viewer") {
+            throw new MessageError("forbidden", "Viewers may not restore the canvas.");
+        }
+        if (this.settings.layers.some((layer) => layer.locked)) {
+            // As with clearing, restoring the canvas replaces every layer.
+            throw new MessageError("forbidden", "The canvas may not be restored while a layer is locked.");
+        }
+        const checkpoint = this.settings.checkpoints.find((checkpoint) => checkpoint.id === id);
+        const canvas = checkpoint !== undefined ? this.storage.load_checkpoint(this.name, id) : null;
+        if (canvas === null) {
+            throw new MessageError("invalid_message", "There is no such checkpoint.");
+        }
+        if (this.canvas.length > 0) {
+            this.checkpoint(`Before restoring "${checkpoint.name}"`);
+        }
+        this.replace_canvas(canvas);
+        // The recording shows the canvas being cleared and then redrawn, as it was at the
+        // checkpoint.
+        this.storage.append_recording(this.name, {
+            kind: "draw",
+            shape: "clear",
+            author: ws.id,
+            time: Date.now(),
+        });
+        for (const action of canvas) {
+            this.storage.append_recording(this.name, action);
+        }
+        this.publish("restore", { canvas });
+        for (const participant of this.participants) {
+            this.send_canvas(participant);
+        }
     }
 
-    // Determine whether the participant is permitted to join or not.
-    admit(ws) {
+    // Determine whether the participant is permitted to join or not, given their join message and
+    // whether it gives the password (see `check_password`). This throws a `MessageError` if they
+    // are not permitted.
+    admit(ws, data, password_matches) {
         if (this.participants.has(ws)) {
             // They've already joined!
             return false;
         } else {
-            // All channels are public right now! They can join.
+            // Participants resuming a previous session keep the role they had. Otherwise, their
+            // role depends on how they're joining.
+            const { sessions } = this.settings;
+            if (Object.prototype.hasOwnProperty.call(sessions, data.session)) {
+                ({ id: ws.id, role: ws.role } = sessions[data.session]);
+                ws.session = data.session;
+            } else {
+                ws.role = this.role_for(data, password_matches);
+                if (data.spectate === true) {
+                    ws.role = "viewer";
+                }
+                const invite = Object.prototype.hasOwnProperty.call(this.settings.invites, data.token)
+                    ? data.token : null;
+                ws.session = crypto.randomBytes(16).toString("hex");
+                this.add_session(ws.session, ws.id, ws.role, invite);
+                this.storage.save_settings(this.name, this.settings);
+                // They may reconnect to another process.
+                this.publish("session", { session: ws.session, id: ws.id, role: ws.role, invite });
+            }
+            ws.name = Channel.display_name(data.name);
             this.participants.add(ws);
-            ws.send(JSON.stringify({
-                kind: "channel",
-                canvas: this.canvas,
-            }));
+            this.idle_since = null;
+            this.storage.touch(this.name);
+            this.send_canvas(ws);
+            this.update_presence();
+            if (this.presented_view !== null) {
+                this.send_view([ws]);
+            }
             return true;
         }
     }
 
-    draw(data) {
-        // FIXME: the validation is currently duplicated on the client and server. Ideally we
-        // would use `import` to share this functionality.
-        const validate_data = (properties) => {
-            return Server.validate_data(Object.assign({
-                kind: () => true, // We're already implicitly validating this property here.
-                shape: () => true, // As above.
-            }, properties), data);
-        };
+    // Record a participant's session (see `Channel.settings`). Only the most recent
+    // `Channel.MAX_SESSIONS` are kept.
+    add_session(session, id, role, invite) {
+        const { sessions } = this.settings;
+        sessions[session] = { id, role, invite };
+        const tokens = Object.keys(sessions);
+        for (let i = 0; i < tokens.length - Channel.MAX_SESSIONS; ++i) {
+            delete sessions[tokens[i]];
+        }
+    }
 
-        const validate_pen_state = (state) => {
-            return Server.validate_data({
-                x: (x) => Number.isFinite(x),
-                y: (y) => Number.isFinite(y),
-                tool: (tool) => ["brush", "eraser"].includes(tool),
-                colour: (colour) => true, // FIXME: We're not validating colours at the moment.
-                radius: (radius) => Number.isFinite(radius) && radius >= 0,
-            }, state);
-        };
+    // Send a participant the current state of the canvas.
+    send_canvas(ws) {
+        ws.send(JSON.stringify({
+            kind: "channel",
+            participant: ws.id,
+            session: ws.session,
+            role: ws.role,
+            links: this.links_for(ws),
+            snapshot: this.snapshot !== null ? {
+                images: this.snapshot.images,
+                x: 0,
+                y: 0,
+                width: Channel.SIZE[0],
+                height: Channel.SIZE[1],
+            } : null,
+            overflow: this.snapshot !== null ? this.overflow() : [],
+            canvas: this.canvas.slice(this.snapshot !== null ? this.snapshot.length : 0),
+            headers: this.snapshot !== null ? this.continued_headers() : [],
+            layers: this.settings.layers,
+        }));
+    }
 
-        let valid_data = false;
-        switch (data.shape) {
+    // The circles that started the strokes that are continued by `points` actions after the
+    // snapshot, but that are themselves included in it. Clients need these to draw the rest of the
+    // strokes (see `Protocol.expand`).
+    continued_headers() {
+        const headers = new Set();
+        for (let index = this.snapshot.length; index < this.canvas.length; ++index) {
+            const header = this.headers.get(index);
+            if (header !== undefined && header < this.snapshot.length) {
+                headers.add(header);
+            }
+        }
+        return Array.from(headers, (index) => this.canvas[index]);
+    }
+
+    // The visible actions included in the snapshot that it doesn't entirely contain, because
+    // they're images or text (which aren't rasterised) or extend outside the snapshot's region.
+    // These are sent as they should be drawn, i.e. with any edits applied.
+    overflow() {
+        const [width, height] = Channel.SIZE;
+        const overflow = [];
+        for (let index = 0; index < this.snapshot.length; ++index) {
+            for (const action of this.resolve(index)) {
+                if (action.shape === "image" || action.shape === "text") {
+                    overflow.push(action);
+                    continue;
+                }
+                const bounds = Protocol.bounds(action);
+                if (
+                    bounds !== null
+                        && (bounds[0] < 0 || bounds[1] < 0 || bounds[2] > width || bounds[3] > height)
+                ) {
+                    overflow.push(action);
+                }
+            }
+        }
+        return overflow;
+    }
+
+    // Owners are sent links with which they can invite others to the channel.
+    links_for(ws) {
+        if (ws.role !== "owner") {
+            return null;
+        }
+        const links = {};
+        for (const [token, role] of Object.entries(this.settings.invites)) {
+            if (role !== "owner") {
+                links[role] = this.query_string(token);
+            }
+        }
+        return links;
+    }
+
+    // Send owners connected to this process the links with which they can invite others (see
+    // `links_for`), e.g. when the invitations have changed.
+    send_links() {
+        for (const participant of this.participants) {
+            if (participant.role === "owner") {
+                participant.send(JSON.stringify({ kind: "links", links: this.links_for(participant) }));
+            }
+        }
+    }
+
+    // Replace an invitation token with a new one for the same role, so that the old one may no
+    // longer be used to join the channel.
+    replace_invitation(token) {
+        const { invites } = this.settings;
+        if (!Object.prototype.hasOwnProperty.call(invites, token)) {
+            // It's already been replaced.
+            return;
+        }
+        invites[crypto.randomBytes(16).toString("hex")] = invites[token];
+        delete invites[token];
+        this.publish("invites", { invites });
+        this.send_links();
+    }
+
+    // Remove a participant (and any other connections they have, to any process) from the channel.
+    // Only owners may do this. Everyone invited with the same role shares an invitation, so the one
+    // the participant joined with would let them straight back in: we replace it, and owners have
+    // to share the new one with anyone else they invite. Participants who joined a public channel,
+    // or with the password, may still rejoin.
+    kick(ws, id) {
+        if (ws.role !== "owner") {
+            throw new MessageError("forbidden", "Only the owner of the channel may remove participants.");
+        }
+        const invites = new Set();
+        for (const session of Object.values(this.settings.sessions)) {
+            if (session.id === id && typeof session.invite === "string") {
+                invites.add(session.invite);
+            }
+        }
+        this.publish("kick", { id });
+        this.remove(id);
+        for (const invite of invites) {
+            this.replace_invitation(invite);
+        }
+        this.storage.save_settings(this.name, this.settings);
+    }
+
+    // Remove a participant's connections to this process, and forget their sessions.
+    remove(id) {
+        const { sessions } = this.settings;
+        for (const session of Object.keys(sessions)) {
+            if (sessions[session].id === id) {
+                // They can't resume their session, so they would need a new invitation to rejoin.
+                delete sessions[session];
+            }
+        }
+        for (const participant of this.participants) {
+            if (participant.id === id) {
+                this.leave(participant);
+                participant.send(JSON.stringify({
+                    kind: "error",
+                    code: "kicked",
+                    message: "You were removed from the channel by its owner.",
+                }));
+                participant.close();
+            }
+        }
+    }
+
+    leave(ws) {
+        if (this.participants.delete(ws)) {
+            if (ws.id === this.presenter && !this.participant_ids().has(ws.id)) {
+                // The presentation is over once the presenter has left.
+                this.presenter = null;
+                this.presented_view = null;
+                this.publish("presenter", { presenter: null });
+            }
+            if (this.participants.size === 0) {
+                this.rasters = null;
+            }
+            this.update_idleness();
+            this.update_presence();
+        }
+    }
+
+    // The identifiers of everyone in the channel, whichever process they're connected to.
+    participant_ids() {
+        const ids = new Set(Array.from(this.participants, (participant) => participant.id));
+        for (const { participants } of this.remote_participants.values()) {
+            for (const { id } of participants) {
+                ids.add(id);
+            }
+        }
+        return ids;
+    }
+
+    // Forget the participants of processes we haven't heard from since `time`, which have most
+    // likely stopped.
+    forget_remote_participants(time) {
+        let forgotten = false;
+        for (const [process, { updated }] of this.remote_participants) {
+            if (updated < time) {
+                this.remote_participants.delete(process);
+                forgotten = true;
+            }
+        }
+        if (forgotten) {
+            this.update_idleness();
+            this.send_presence();
+        }
+    }
+
+    // Channels are idle once there's nobody in them, in any process.
+    update_idleness() {
+        if (this.participant_ids().size > 0) {
+            this.idle_since = null;
+        } else if (this.idle_since === null) {
+            this.idle_since = Date.now();
+        }
+    }
+
+    // Returns a name suitable for displaying to other participants.
+    static display_name(name) {
+        if (typeof name !== "string" || name.trim() === "") {
+            return "Anonymous";
+        }
+        return name.trim().slice(0, Channel.MAX_NAME_LENGTH);
+    }
+
+    // Each participant is displayed in a colour derived from their identifier, so that they keep
+    // the same colour if they reconnect.
+    static participant_colour(id) {
+        return `hsl(${parseInt(id.slice(0, 4), 16) % 360}, 75%, 50%)`;
+    }
+
+    // The participants connected to this process, as they appear in `presence` messages.
+    local_presence() {
+        return Array.from(this.participants, (participant) => ({
+            id: participant.id,
+            name: participant.name,
+            colour: Channel.participant_colour(participant.id),
+            role: participant.role,
+        }));
+    }
+
+    // Let everyone, in every process, know that the participants connected to this process have
+    // changed.
+    update_presence() {
+        this.publish_presence();
+        this.send_presence();
+    }
+
+    publish_presence() {
+        this.publish("presence", { process: this.pubsub.id, participants: this.local_presence() });
+    }
+
+    // Let every participant connected to this process know who is in the channel.
+    send_presence() {
+        // A participant who has reconnected may briefly have two connections, before we notice
+        // the old one has closed, so we deduplicate participants by identifier.
+        const participants = new Map();
+        const remote = Array.from(this.remote_participants.values(), (process) => process.participants);
+        for (const participant of this.local_presence().concat(...remote)) {
+            participants.set(participant.id, participant);
+        }
+        const message = JSON.stringify({
+            kind: "presence",
+            participants: Array.from(participants.values()),
+            presenter: this.presenter,
+        });
+        for (const participant of this.participants) {
+            participant.send(message);
+        }
+    }
+
+    rename(ws, name) {
+        ws.name = Channel.display_name(name);
+        this.update_presence();
+    }
+
+    // Share the position of a participant's cursor with everyone else. Cursor positions are
+    // ephemeral, so unlike drawing actions, we don't record them.
+    cursor(ws, data) {
+        const cursor = Object.assign({ id: ws.id }, data);
+        this.publish("cursor", { cursor });
+        this.send_cursor(cursor);
+    }
+
+    // Send a participant's cursor to everyone else connected to this process.
+    send_cursor(cursor) {
+        const message = JSON.stringify(cursor);
+        for (const participant of this.participants) {
+            if (participant.id !== cursor.id) {
+                participant.send(message);
+            }
+        }
+    }
+
+    // Render the visible layers of the region of the canvas that is rasterised into snapshots (see
+    // `Channel.SIZE`) as a PNG on a white background, calling `callback(error, buffer)` once it is
+    // ready. As with snapshots, images and text are left out.
+    render(callback) {
+        const rasters = new Map(this.settings.layers
+            .filter((layer) => !layer.hidden)
+            .map((layer) => [layer.id, new Raster(...Channel.SIZE)]));
+        for (let index = 0; index < this.canvas.length; ++index) {
+            for (const action of this.resolve(index)) {
+                const raster = rasters.get(Protocol.layer_of(action));
+                if (raster !== undefined) {
+                    raster.draw(action);
+                }
+            }
+        }
+        const image = new Raster(...Channel.SIZE);
+        image.pixels.fill(255);
+        // The layers are composited from the bottom up.
+        for (const raster of rasters.values()) {
+            for (const author of Array.from(raster.layers.keys())) {
+                raster.flatten(author);
+            }
+            Raster.composite(image.pixels, raster.pixels, 1);
+        }
+        image.encode_png(callback);
+    }
+
+    // Start or stop presenting. Only one participant may present at once, though owners may take
+    // over from another presenter.
+    present(ws, presenting) {
+        if (ws.role === "viewer") {
+            throw new MessageError("forbidden", "Viewers may not present.");
+        }
+        if (presenting) {
+            if (this.presenter !== null && this.presenter !== ws.id && ws.role !== "owner") {
+                throw new MessageError("forbidden", "Somebody else is already presenting.");
+            }
+            this.presenter = ws.id;
+        } else if (this.presenter === ws.id) {
+            this.presenter = null;
+        } else {
+            return;
+        }
+        this.presented_view = null;
+        this.publish("presenter", { presenter: this.presenter });
+        this.send_presence();
+    }
+
+    // Share the region of the canvas that the presenter is looking at with everyone else, who
+    // follow it.
+    share_view(ws, data) {
+        if (ws.id !== this.presenter) {
+            // They may have stopped presenting (or been taken over from) in the meantime.
+            return;
+        }
+        const { x, y, width, height } = data;
+        this.presented_view = { x, y, width, height };
+        this.publish("viewport", { view: this.presented_view });
+        this.send_view();
+    }
+
+    // Send the presenter's view to participants (by default, to everyone connected to this process
+    // except the presenter).
+    send_view(participants = this.participants) {
+        const message = JSON.stringify(Object.assign({ kind: "viewport" }, this.presented_view));
+        for (const participant of participants) {
+            if (participant.id !== this.presenter) {
+                participant.send(message);
+            }
+        }
+    }
+
+    // Rasterise the canvas and (asynchronously) update the snapshot.
+    take_snapshot() {
+        if (this.rasters === null) {
+            this.rasters = new Map();
+            this.rasterised = 0;
+        }
+        const canvas = this.canvas;
+        for (; this.rasterised < canvas.length; ++this.rasterised) {
+            for (const action of this.resolve(this.rasterised)) {
+                if (Raster.rasterises(action)) {
+                    const layer = Protocol.layer_of(action);
+                    if (!this.rasters.has(layer)) {
+                        this.rasters.set(layer, new Raster(...Channel.SIZE));
+                    }
+                    this.rasters.get(layer).draw(action);
+                }
+            }
+        }
+
+        const [generation, length] = [this.generation, canvas.length];
+        this.snapshotting = true;
+        Promise.all(Array.from(this.rasters, ([layer, raster]) => new Promise((resolve, reject) => {
+            raster.encode_png((error, png) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve({ layer, image: `data:image/png;base64,${png.toString("base64")}` });
+                }
+            });
+        }))).then((images) => {
+            this.snapshotting = false;
+            // If the canvas was cleared, or a stroke was undone, in the meantime, then the snapshot
+            // is out of date.
+            if (this.generation === generation) {
+                this.snapshot = { images, length };
+            }
+        }, (error) => {
+            this.snapshotting = false;
+            console.error(`Failed to take a snapshot of channel "${this.name}":`, error);
+        });
+    }
+
+    // Discard the rasters (and the snapshot, if `snapshot` is true), so that they're rebuilt from
+    // `canvas` next time they're needed.
+    invalidate_raster(snapshot) {
+        this.rasters = null;
+        this.rasterised = 0;
+        ++this.generation;
+        if (snapshot) {
+            this.snapshot = null;
+        }
+    }
+
+    static stroke_key(action) {
+        return `${action.author}:${action.stroke}`;
+    }
+
+    // Returns the actions drawn by the action at the given index in `canvas`, as they should be
+    // drawn, i.e. with `points` expanded into bridges, and with any edits made since applied to
+    // them (see `Protocol.resolve`). This is usually a single action, but may be none (e.g. if the
+    // action has been undone) or several.
+    resolve(index) {
+        const action = this.canvas[index];
+        const key = Channel.stroke_key(action);
+        if (this.undone.has(key) || Protocol.EDITS.includes(action.shape)) {
+            return [];
+        }
+        const headers = new Map();
+        if (action.shape === "points") {
+            headers.set(key, this.canvas[this.headers.get(index)]);
+        }
+        const resolved = [];
+        for (let drawn of Protocol.expand([action], headers)) {
+            for (const edit_index of this.edits.get(key) || []) {
+                const edit = this.canvas[edit_index];
+                if (edit_index > index && !this.undone.has(Channel.stroke_key(edit))) {
+                    drawn = Protocol.apply_edit(drawn, edit);
+                    if (drawn === null) {
+                        break;
+                    }
+                }
+            }
+            if (drawn !== null) {
+                resolved.push(drawn);
+            }
+        }
+        return resolved;
+    }
+
+    // Returns whether an action that has already been accepted (e.g. one loaded from storage, or
+    // published by another process) may be added to the canvas. Edits, undos, redos and points all
+    // refer to earlier strokes, which may be missing if, for instance, the line of the log that
+    // recorded them was corrupted, or a published action arrived before the stroke it refers to.
+    // Such actions are skipped. Edits are kept if any of their targets is known, but only apply to
+    // those that are.
+    applicable(action) {
+        if (Protocol.EDITS.includes(action.shape)) {
+            const targets = action.targets.filter((target) => {
+                return this.strokes.has(Channel.stroke_key(target));
+            });
+            if (targets.length === 0) {
+                return false;
+            }
+            action.targets = targets;
+            return true;
+        }
+        if (action.shape === "undo" || action.shape === "redo") {
+            return this.strokes.has(Channel.stroke_key(action));
+        }
+        if (action.shape === "points") {
+            const stroke = this.strokes.get(Channel.stroke_key(action));
+            return stroke !== undefined && stroke.header !== undefined;
+        }
+        return true;
+    }
+
+    // Update the undo and redo bookkeeping for an action at the given index in `canvas`.
+    record(action, index) {
+        if (!this.authors.has(action.author)) {
+            this.authors.set(action.author, { strokes: [], undone: [] });
+        }
+        const author = this.authors.get(action.author);
+        const key = Channel.stroke_key(action);
+        switch (action.shape) {
             case "circle":
-                valid_data = validate_data({
-                    at: validate_pen_state,
-                });
-                break;
             case "bridge":
-                valid_data = validate_data({
-                    from: validate_pen_state,
-                    to: validate_pen_state,
+            case "points":
+            case "image":
+            case "text":
+            case "line":
+            case "arrow":
+            case "rectangle":
+            case "ellipse":
+                if (!this.strokes.has(key)) {
+                    this.strokes.set(key, {
+                        stroke: action.stroke,
+                        layer: Protocol.layer_of(action),
+                        first: index,
+                    });
+                    author.strokes.push(key);
+                    // As in most editors, starting a new stroke means that previously-undone
+                    // strokes can no longer be redone.
+                    author.undone = [];
+                }
+                if (action.shape === "circle") {
+                    this.strokes.get(key).header = index;
+                } else if (action.shape === "points") {
+                    this.headers.set(index, this.strokes.get(key).header);
+                }
+                break;
+            case "move":
+            case "delete":
+            case "recolour":
+                // Edits are strokes in their own right, so that they may be undone.
+                this.strokes.set(key, {
+                    stroke: action.stroke,
+                    edit: true,
+                    layers: Array.from(new Set(action.targets.map((target) => {
+                        return this.strokes.get(Channel.stroke_key(target)).layer;
+                    }))),
+                    first: Math.min(index, ...action.targets.map((target) => {
+                        return this.strokes.get(Channel.stroke_key(target)).first;
+                    })),
                 });
+                author.strokes.push(key);
+                author.undone = [];
+                for (const target of action.targets) {
+                    const target_key = Channel.stroke_key(target);
+                    if (!this.edits.has(target_key)) {
+                        this.edits.set(target_key, []);
+                    }
+                    this.edits.get(target_key).push(index);
+                }
                 break;
-            case "clear":
-                valid_data = validate_data({});
+            case "undo":
+                this.undone.add(key);
+                author.undone.push(key);
                 break;
+            case "redo":
+                this.undone.delete(key);
+                author.undone.pop();
+                break;
+        }
+    }
+
+    // Returns the key of the stroke that an undo (or redo) by `author` would affect, if any.
+    stroke_to_toggle(author, shape) {
+        if (!this.authors.has(author)) {
+            return undefined;
+        }
+        const { strokes, undone } = this.authors.get(author);
+        if (shape === "redo") {
+            return undone[undone.length - 1];
+        }
+        for (let i = strokes.length - 1; i >= 0; --i) {
+            if (!this.undone.has(strokes[i])) {
+                return strokes[i];
+            }
+        }
+        return undefined;
+    }
+
+    // Returns the layer with the given identifier, if there is one.
+    find_layer(id) {
+        return this.settings.layers.find((layer) => layer.id === id);
+    }
+
+    // Change the layers of the channel, given an `add_layer` or `update_layer` message.
+    update_layers(ws, data) {
+        if (ws.role === "viewer") {
+            throw new MessageError("forbidden", "Viewers may not change the layers of the canvas.");
+        }
+        const layers = Protocol.update_layers(this.settings.layers, data);
+        if (layers === null) {
+            throw new MessageError(
+                "invalid_message",
+                data.kind === "add_layer"
+                    ? `The canvas may have at most ${Protocol.MAX_LAYERS} layers.`
+                    : "There is no such layer.",
+            );
+        }
+        this.settings.layers = layers;
+        this.storage.save_settings(this.name, this.settings);
+        this.publish("layers", { layers });
+        this.send_layers();
+    }
+
+    // Let every participant connected to this process know the layers of the canvas.
+    send_layers() {
+        const message = JSON.stringify({ kind: "layers", layers: this.settings.layers });
+        for (const participant of this.participants) {
+            participant.send(message);
+        }
+    }
+
+    // Check that the layer with the given identifier may be drawn onto, throwing if there is no
+    // such layer, or if it is locked.
+    check_layer(id) {
+        const layer = this.find_layer(id);
+        if (layer === undefined) {
+            throw new MessageError("invalid_message", "There is no such layer.");
+        }
+        if (layer.locked) {
+            throw new MessageError("forbidden", `The layer "${layer.name}" is locked.`);
+        }
+    }
+
+    // Draw a series of actions at once, given an `import` message. Either every action is drawn,
+    // or, if any of them may not be, none are, so that the canvas is never left with half of an
+    // import on it.
+    import(ws, data) {
+        if (ws.role === "viewer") {
+            throw new MessageError("forbidden", "Viewers may not draw on the canvas.");
+        }
+        // Only shapes that draw something may be imported (see `Protocol.IMPORTABLE_SHAPES`), so
+        // `draw` can only reject them because of their layer.
+        for (const action of data.canvas) {
+            this.check_layer(Protocol.layer_of(action));
+        }
+        for (const action of data.canvas) {
+            this.draw(ws, action);
+        }
+    }
+
+    // Draw an action, which has already been validated by `Protocol.validate_client_message`.
+    draw(ws, data) {
+        if (ws.role === "viewer") {
+            throw new MessageError("forbidden", "Viewers may not draw on the canvas.");
+        }
+
+        // Actions are attributed to the participant who made them, so that participants can only
+        // undo their own strokes, and timestamped, so that the session may be played back.
+        data.author = ws.id;
+        data.time = Date.now();
+
+        if (data.shape === "undo" || data.shape === "redo") {
+            // Participants don't say which stroke to undo or redo: it's always their most recent.
+            const key = this.stroke_to_toggle(ws.id, data.shape);
+            if (key === undefined) {
+                // There's nothing to undo or redo.
+                return;
+            }
+            // Undoing or redoing a stroke changes its layer as much as drawing it did, so it may
+            // not be done once the layer is locked. Likewise for an edit, and the layers of the
+            // strokes it edited.
+            const stroke = this.strokes.get(key);
+            for (const layer of stroke.edit ? stroke.layers : [stroke.layer]) {
+                this.check_layer(layer);
+            }
+            data.stroke = stroke.stroke;
+        }
+
+        if (data.shape === "clear" && this.settings.layers.some((layer) => layer.locked)) {
+            // Clearing the canvas wipes every layer, which would defeat the point of locking one.
+            throw new MessageError("forbidden", "The canvas may not be cleared while a layer is locked.");
+        }
+
+        if (Protocol.EDITS.includes(data.shape)) {
+            if (this.strokes.has(Channel.stroke_key(data))) {
+                throw new MessageError("invalid_message", "Edits must be new strokes.");
+            }
+            // Participants may only edit strokes that exist (and aren't themselves edits), and
+            // that aren't on locked layers.
+            const targets = new Map();
+            for (const target of data.targets) {
+                const key = Channel.stroke_key(target);
+                const stroke = this.strokes.get(key);
+                if (stroke !== undefined && !stroke.edit && !this.find_layer(stroke.layer).locked) {
+                    targets.set(key, { author: target.author, stroke: target.stroke });
+                }
+            }
+            if (targets.size === 0) {
+                return;
+            }
+            data.targets = Array.from(targets.values());
+        }
+
+        if (!["clear", "undo", "redo", ...Protocol.EDITS].includes(data.shape)) {
+            const layer = this.find_layer(Protocol.layer_of(data));
+            if (
+                layer !== undefined && layer.locked
+                    && (data.shape === "bridge" || data.shape === "points")
+            ) {
+                // The layer may have been locked part-way through a stroke, in which case we
+                // quietly drop the rest of it, rather than reporting every segment.
+                return;
+            }
+            this.check_layer(Protocol.layer_of(data));
+        }
+
+        if (data.shape === "points") {
+            const stroke = this.strokes.get(Channel.stroke_key(data));
+            if (stroke === undefined || stroke.header === undefined) {
+                // We can't draw points without the circle that started their stroke. This happens
+                // when the canvas is cleared part-way through a stroke, in which case we quietly
+                // drop the rest of it, as it was cleared along with the start of it.
+                return;
+            }
+        }
+
+        if (data.shape === "clear" && this.canvas.length > 0) {
+            // Clearing the canvas can't be undone, so we keep a checkpoint from which it may be
+            // restored instead.
+            this.checkpoint("Before clearing");
         }
 
-        if (valid_data) {
-            this.canvas.push(data);
+        this.storage.append_recording(this.name, data);
+        this.publish("draw", { data });
+        this.apply(data);
+    }
+
+    // Add an action that has been accepted to the canvas, and send it to every participant
+    // connected to this process. The action is stored unless `store` is false, i.e. when it was
+    // accepted (and stored) by another process. As each process accepts actions independently,
+    // concurrent actions in different processes may be drawn in different orders, but each
+    // participant's own actions are always in order.
+    apply(data, store = true) {
+        this.canvas.push(data);
+        if (data.shape === "clear") {
             for (const participant of this.participants) {
                 participant.send(JSON.stringify(data));
             }
-            if (data.shape === "clear") {
-                // Special-case "clear" so that it wipes the history. For now, as we're
-                // sending every single message to each client when they join, this should
-                // reduce load.
-                this.canvas = [];
+            // Special-case "clear" so that it wipes the history. For now, as we're
+            // sending every single message to each client when they join, this should
+            // reduce load.
+            this.replace_canvas([], store);
+            return;
+        }
+
+        if (store) {
+            this.storage.append(this.name, data);
+        }
+        this.record(data, this.canvas.length - 1);
+
+        if (data.shape === "undo" || data.shape === "redo" || Protocol.EDITS.includes(data.shape)) {
+            const { first } = this.strokes.get(Channel.stroke_key(data));
+            if (first < this.rasterised) {
+                // The stroke (or one that it edits) has already been rasterised (or omitted from the
+                // raster), so the raster needs to be rebuilt.
+                const stale_snapshot = this.snapshot !== null && first < this.snapshot.length;
+                this.invalidate_raster(stale_snapshot);
+                if (stale_snapshot) {
+                    // Participants may only have the stroke as part of the snapshot, so they can't
+                    // undo (or edit) it themselves. Instead, we send them the whole canvas again.
+                    for (const participant of this.participants) {
+                        this.send_canvas(participant);
+                    }
+                    return;
+                }
             }
         }
+
+        for (const participant of this.participants) {
+            participant.send(JSON.stringify(data));
+        }
+
+        if (
+            !this.snapshotting &&
+            this.canvas.length - (this.snapshot !== null ? this.snapshot.length : 0)
+                >= Channel.SNAPSHOT_INTERVAL
+        ) {
+            this.take_snapshot();
+        }
     }
 }
 
-class MessageError extends Error {}
+// The size of the region of the canvas, starting at the origin, that is rasterised into snapshots.
+// The canvas itself is unbounded, but most drawing happens near the origin.
+Channel.SIZE = [1024, 640];
+// The number of actions after which we take a new snapshot.
+Channel.SNAPSHOT_INTERVAL = 256;
+// The maximum length of a participant's display name.
+Channel.MAX_NAME_LENGTH = 32;
+// The number of checkpoints kept for each channel.
+Channel.MAX_CHECKPOINTS = 32;
+// The number of sessions kept for each channel, after which the oldest may no longer be resumed.
+Channel.MAX_SESSIONS = 1024;
+
+// An error caused by a client sending a message that we can't act upon. The `code` is one of
+// `Protocol.ERRORS`, and is reported back to the client, along with the message.
+class MessageError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// A token bucket, which permits bursts of up to `capacity` events, and otherwise `rate` events
+// per second.
+class RateLimiter {
+    constructor(rate, capacity) {
+        this.rate = rate;
+        this.capacity = capacity;
+        this.tokens = capacity;
+        this.last = Date.now();
+    }
+
+    // Returns whether another event is permitted right now, and if so, records it.
+    take() {
+        const now = Date.now();
+        this.tokens = Math.min(this.tokens + (now - this.last) / 1000 * this.rate, this.capacity);
+        this.last = now;
+        if (this.tokens >= 1) {
+            --this.tokens;
+            return true;
+        }
+        return false;
+    }
+
+    // Records another event, returning how long (in milliseconds) it must be delayed for to keep
+    // within the rate. Unlike `take`, this is for events that are put off, rather than turned away.
+    delay() {
+        const now = Date.now();
+        this.tokens = Math.min(this.tokens + (now - this.last) / 1000 * this.rate, this.capacity);
+        this.last = now;
+        --this.tokens;
+        return this.tokens >= 0 ? 0 : -this.tokens / this.rate * 1000;
+    }
+
+    // Whether the bucket has refilled, so that it's as if no events had happened.
+    full() {
+        return this.tokens + (Date.now() - this.last) / 1000 * this.rate >= this.capacity;
+    }
+}
 
 class Server {
-    constructor(webserver) {
+    constructor(webserver, options = {}) {
         this.channels = new Map();
 
+        const SECOND = 1000;
+        const MINUTE = 60 * SECOND;
+        // How long a channel may remain empty before it is deleted.
+        this.idle_timeout = options.idle_timeout || 60 * MINUTE;
+
+        // Where the canvases of channels are stored, and how we keep up with changes made to them
+        // by other server processes, which share the storage.
+        this.storage = options.storage || new Storage();
+        this.pubsub = options.pubsub || new PubSub();
+        this.pubsub.subscribe((message) => {
+            try {
+                this.receive_published(message);
+            } catch (error) {
+                console.error("Failed to act upon a message from another process:", message, error);
+            }
+        });
+        for (const [name, { canvas, settings }] of this.storage.load()) {
+            const channel = new Channel(name, this.storage, this.pubsub);
+            channel.load(canvas);
+            if (settings !== null) {
+                // Settings stored before layers were introduced have none.
+                Object.assign(channel.settings, settings);
+            }
+            this.channels.set(name, channel);
+        }
+
         // Right now, participants can only join a maximum of one channel. This may change in the
         // future.
         this.participants = new Map();
 
-        this.wss = new WebSocket.Server({ server: webserver });
+        // Every channel is stored, so we limit how quickly channels may be created from each
+        // address. Clients' addresses are taken from the `X-Forwarded-For` header if
+        // `trust_proxy` is set, i.e. when the server is behind a proxy that sets it.
+        this.trust_proxy = options.trust_proxy || false;
+        this.creation_limiters = new Map();
 
-        this.wss.on("connection", (ws) => {
+        this.wss = new WebSocket.Server({
+            server: webserver,
+            maxPayload: Server.MAX_MESSAGE_SIZE,
+        });
+
+        this.wss.on("connection", (ws, req) => {
             // We add an extra property, `alive`, to WebSockets for a heartbeat protocol.
             // This ensures clients will not time out if there's no communication for 30 s.
             ws.alive = true;
+            // Each connection is given a random identifier, by which we attribute their actions.
+            ws.id = crypto.randomBytes(8).toString("hex");
+            // Limits on how quickly the client may draw, and how many bad messages they may send
+            // before we disconnect them. `limited` records whether the client is currently
+            // being rate-limited, so that we only tell them so once.
+            ws.draw_limiter = new RateLimiter(Server.DRAW_RATE, Server.DRAW_BURST);
+            ws.violation_limiter = new RateLimiter(Server.VIOLATION_RATE, Server.MAX_VIOLATIONS);
+            ws.limited = false;
+            // Likewise for requests for pages of the history or recording (see `send_page`), and
+            // whether the client is waiting on one.
+            ws.request_limiter = new RateLimiter(Server.REQUEST_RATE, Server.REQUEST_BURST);
+            ws.requesting = false;
+            ws.address = this.address_of(req);
 
             ws.on("message", (message) => {
                 try {
-                    const data = JSON.parse(message);
+                    let data;
+                    try {
+                        data = JSON.parse(message);
+                    } catch (error) {
+                        throw new MessageError("invalid_message", "Messages must be valid JSON.");
+                    }
+                    // We check the protocol version before anything else, because clients
+                    // speaking a different version may send messages we wouldn't understand.
+                    if (data !== null && data.kind === "join" && data.version !== Protocol.VERSION) {
+                        this.send_error(
+                            ws,
+                            "version",
+                            `The server is using version ${Protocol.VERSION} of the protocol, `
+                                + `but the client is using version ${data.version}.`,
+                        );
+                        ws.close();
+                        return;
+                    }
+                    const reason = Protocol.validate_client_message(data);
+                    if (reason !== null) {
+                        throw new MessageError("invalid_message", reason);
+                    }
+                    if (data.kind === "draw" || data.kind === "import") {
+                        // Images and edits are much larger than other shapes, so have their own
+                        // limits. Imports are only limited by the maximum message size.
+                        const max_size = data.kind === "import" ? Server.MAX_MESSAGE_SIZE
+                            : data.shape === "image" ? Server.MAX_IMAGE_DRAW_SIZE
+                            : Protocol.EDITS.includes(data.shape) ? Server.MAX_EDIT_SIZE
+                            : Server.MAX_DRAW_SIZE;
+                        if (Buffer.byteLength(message) > max_size) {
+                            throw new MessageError(
+                                "too_large",
+                                `Drawing messages may be at most ${max_size} bytes.`,
+                            );
+                        }
+                        if (!ws.draw_limiter.take()) {
+                            if (!ws.limited) {
+                                ws.limited = true;
+                                throw new MessageError(
+                                    "rate_limited",
+                                    "You're drawing too quickly, so some strokes were dropped.",
+                                );
+                            }
+                            return;
+                        }
+                        ws.limited = false;
+                    }
                     this.receive_message(ws, data);
                 } catch (error) {
-                    // Received bad message from client. We should consider doing something if
-                    // clients continually misbehave, but we'll simply ignore them for now.
-                    console.error(message, error);
+                    if (error instanceof MessageError) {
+                        this.reject(ws, error);
+                    } else {
+                        console.error(message, error);
+                    }
                 }
             });
 
             ws.on("close", () => {
                 const channel = this.participants.get(ws);
                 if (channel !== undefined) {
-                    channel.participants.delete(ws);
+                    channel.leave(ws);
                 }
                 if (this.participants.delete(ws)) {
                     // console.log("A client left.");
@@ -123,9 +1316,11 @@ class Server {
             ws.on("pong", () => ws.alive = true);
         });
 
-        const SECOND = 1000;
+        // The timers we set, which are cleared when the server is closed.
+        this.intervals = [];
+
         const HEARTBEAT_INTERVAL = 15 * SECOND;
-        setInterval(() => {
+        this.intervals.push(setInterval(() => {
             for (const ws of this.wss.clients) {
                 if (!ws.alive) {
                     // Timeout unresponsive clients.
@@ -135,79 +1330,593 @@ class Server {
                 ws.alive = false;
                 ws.ping(null);
             }
-        }, HEARTBEAT_INTERVAL);
-    }
+        }, HEARTBEAT_INTERVAL));
 
-    static validate_data(sig, data) {
-        const properties = new Set(Object.keys(data));
-        for (const [key, validator] of Object.entries(sig)) {
-            if (properties.delete(key)) {
-                if (!validator(data[key])) {
-                    // The data value did not pass the validation test. Reject it.
-                    return false;
+        // Besides letting the other processes know whenever the participants connected to us
+        // change, we remind them every so often, so that processes that start later find out too,
+        // and so that processes that stop are eventually forgotten. We likewise touch the storage
+        // of the channels in use (see `collect_idle_channels`).
+        this.intervals.push(setInterval(() => {
+            for (const channel of this.channels.values()) {
+                if (channel.participants.size > 0) {
+                    channel.publish_presence();
+                    this.storage.touch(channel.name);
                 }
-            } else {
-                // The data did not include a required field. Reject it.
-                return false;
+                channel.forget_remote_participants(Date.now() - Server.PRESENCE_TIMEOUT);
             }
+        }, Server.PRESENCE_INTERVAL));
+
+        this.intervals.push(setInterval(
+            () => this.collect_idle_channels(),
+            Math.min(this.idle_timeout, MINUTE),
+        ));
+    }
+
+    // Stop the server, disconnecting every client.
+    close() {
+        for (const interval of this.intervals) {
+            clearInterval(interval);
         }
-        if (properties.size !== 0) {
-            // The data included fields that were not present in the signature. Reject it.
-            return false;
+        for (const ws of this.wss.clients) {
+            ws.terminate();
+        }
+        this.wss.close();
+    }
+
+    // Add a channel, unless it has already been loaded from storage. New channels are stored,
+    // unless `store` is false, i.e. when they were created (and stored) by another process.
+    add_channel(name, persistent = false, store = true) {
+        if (this.channels.has(name)) {
+            const channel = this.channels.get(name);
+            channel.persistent = persistent;
+            return channel;
+        }
+        const channel = new Channel(name, this.storage, this.pubsub, persistent);
+        this.channels.set(name, channel);
+        if (store) {
+            this.storage.create(name);
+        }
+        return channel;
+    }
+
+    // Create a new channel with a randomly-generated name, given the options in a `create`
+    // message. Calls `callback(error, message)` with the message to send to the creator, who
+    // becomes the channel's owner, once the channel exists (which, if it has a password, is once
+    // the password has been hashed).
+    create_channel(data, callback) {
+        const create = (password) => {
+            let name;
+            do {
+                name = crypto.randomBytes(8).toString("hex");
+            } while (this.channels.has(name));
+            const channel = this.add_channel(name);
+            const tokens = channel.restrict(data.private === true, password);
+            this.pubsub.publish({
+                type: "channel",
+                channel: channel.name,
+                settings: channel.settings,
+            });
+            callback(null, {
+                kind: "created",
+                channel: channel.name,
+                query_string: channel.query_string(tokens.owner),
+            });
+        };
+        if (data.password === undefined || data.password === "") {
+            create(null);
+            return;
+        }
+        Channel.hash_password(data.password, (error, password) => {
+            if (error) {
+                callback(error);
+                return;
+            }
+            create(password);
+        });
+    }
+
+    // Delete a channel, along with everything stored for it, disconnecting anyone in it. If
+    // `publish` is true, then it's deleted from every other process too.
+    delete_channel(name, publish = false) {
+        if (publish) {
+            this.pubsub.publish({ type: "delete", channel: name });
+        }
+        const channel = this.channels.get(name);
+        for (const participant of channel.participants) {
+            this.participants.delete(participant);
+            this.send_error(participant, "unknown_channel", "The channel has been deleted.");
+            participant.close();
+        }
+        this.channels.delete(name);
+        this.storage.delete(name);
+    }
+
+    // Act upon a message published by another process (see `Channel.publish`).
+    receive_published(message) {
+        if (message.type === "channel") {
+            // Another process has created a channel.
+            const channel = this.add_channel(message.channel, false, false);
+            Object.assign(channel.settings, message.settings);
+            return;
+        }
+        if (!this.channels.has(message.channel)) {
+            // We may have already deleted the channel ourselves, e.g. because it was idle.
+            return;
+        }
+        if (message.type === "delete") {
+            this.delete_channel(message.channel);
+            return;
+        }
+        this.channels.get(message.channel).receive_published(message);
+    }
+
+    // Returns the address of the client that made an HTTP request (including the request to open a
+    // WebSocket).
+    address_of(req) {
+        if (this.trust_proxy) {
+            // The proxy appends the address it received the request from, so we trust only the
+            // last address in the header: the others may have been made up by the client.
+            const forwarded = (req.headers["x-forwarded-for"] || "").split(",").pop().trim();
+            if (forwarded !== "") {
+                return forwarded;
+            }
+        }
+        return req.socket.remoteAddress;
+    }
+
+    // Check that the client at the given address may create another channel right now, throwing
+    // if not.
+    check_creation_rate(address) {
+        if (!this.creation_limiters.has(address)) {
+            this.creation_limiters.set(
+                address,
+                new RateLimiter(Server.CREATION_RATE, Server.CREATION_BURST),
+            );
+        }
+        if (!this.creation_limiters.get(address).take()) {
+            throw new MessageError(
+                "rate_limited",
+                "You're creating channels too quickly. Please try again later.",
+            );
+        }
+    }
+
+    // Delete any channels that have been empty for longer than the idle timeout. Every process
+    // does so independently, as every process knows who is in each channel. However, a process
+    // may miss another's reminders of who is connected to it (see `PubSub`), so we also check
+    // that no process has touched the channel's storage in that time, before deleting it from
+    // every process.
+    collect_idle_channels() {
+        const now = Date.now();
+        for (const [name, channel] of this.channels) {
+            const last_active = this.storage.last_active(name);
+            if (
+                !channel.persistent &&
+                channel.idle_since !== null &&
+                now - channel.idle_since >= this.idle_timeout &&
+                (last_active === null || now - last_active >= this.idle_timeout)
+            ) {
+                this.delete_channel(name, true);
+            }
+        }
+        // We likewise forget the creation limits of addresses that haven't created channels in a
+        // while.
+        for (const [address, limiter] of this.creation_limiters) {
+            if (limiter.full()) {
+                this.creation_limiters.delete(address);
+            }
+        }
+    }
+
+    // Send a client a page of the history of their channel's canvas, or of its recording, given a
+    // `history` or `recording` message. Either may be far too large to send at once, so each page
+    // takes up around `Server.PAGE_SIZE` bytes, and clients request them one at a time. Any
+    // requests made faster than `Server.REQUEST_RATE` are delayed, rather than turned away, as
+    // clients request each page as soon as they've received the previous one. The canvas may be
+    // cleared in between, in which case the history won't be consistent, but nothing worse.
+    send_page(ws, channel, data) {
+        if (ws.requesting) {
+            throw new MessageError("rate_limited", "Please wait for the previous page to be sent.");
+        }
+        ws.requesting = true;
+        const from = data.from || 0;
+        const send = (page) => {
+            ws.requesting = false;
+            ws.send(JSON.stringify(Object.assign({ kind: data.kind }, page)));
+        };
+        setTimeout(() => {
+            if (data.kind === "recording") {
+                const { name } = channel;
+                const read = (error, actions, next) => {
+                    if (error !== null) {
+                        // We can't do much better than sending what we've read so far.
+                        console.error(`Failed to read the recording of channel "${name}":`, error);
+                        next = null;
+                    }
+                    send({ actions, next });
+                };
+                this.storage.load_recording(name, from, Server.PAGE_SIZE, read);
+                return;
+            }
+            const canvas = [];
+            let size = 0;
+            let next = from;
+            while (next < channel.canvas.length && size < Server.PAGE_SIZE) {
+                canvas.push(channel.canvas[next]);
+                size += JSON.stringify(channel.canvas[next]).length;
+                ++next;
+            }
+            send({ canvas, next: next < channel.canvas.length ? next : null });
+        }, ws.request_limiter.delay());
+    }
+
+    send_error(ws, code, message) {
+        ws.send(JSON.stringify({
+            kind: "error",
+            code,
+            message,
+        }));
+    }
+
+    // Tell a client that we couldn't act upon their message. Clients that continually misbehave
+    // are disconnected.
+    reject(ws, error) {
+        this.send_error(ws, error.code, error.message);
+        if (!ws.violation_limiter.take()) {
+            // 1008 is the status code for a policy violation.
+            ws.close(1008, "Too many invalid messages.");
         }
-        return true;
     }
 
     receive_message(ws, data) {
         // console.log("Received data:", data);
         switch (data.kind) {
             case "join":
-                if (!this.participants.has(ws)) {
+                if (!this.participants.has(ws) && !ws.joining) {
                     const channel = this.channels.get(data.channel);
                     if (channel !== undefined) {
-                        if (channel.admit(ws)) {
-                            // console.log("A client joined a channel.");
-                            this.participants.set(ws, channel);
-                        }
+                        // Checking the password may take a while, during which the client may not
+                        // try to join again.
+                        ws.joining = true;
+                        channel.check_password(data, (password_matches) => {
+                            ws.joining = false;
+                            if (
+                                ws.readyState !== WebSocket.OPEN
+                                    || this.channels.get(data.channel) !== channel
+                            ) {
+                                // They've left, or the channel has been deleted, in the meantime.
+                                return;
+                            }
+                            try {
+                                if (channel.admit(ws, data, password_matches)) {
+                                    // console.log("A client joined a channel.");
+                                    this.participants.set(ws, channel);
+                                }
+                            } catch (error) {
+                                if (error instanceof MessageError) {
+                                    this.reject(ws, error);
+                                } else {
+                                    console.error(data, error);
+                                }
+                            }
+                        });
                     } else {
-                        // The user tried to join a channel that doesn't exist. Like most error
-                        // cases, we're just going to ignore it for now.
-                        console.error(`A client tried to join a nonexistent channel: "${data.channel}"`);
+                        throw new MessageError(
+                            "unknown_channel",
+                            `The channel "${data.channel}" does not exist.`,
+                        );
                     }
                 } else {
-                    // The user is already in a channel. They can't join another.
-                    console.error("A client tried to join a channel while being in another.");
+                    // The user is already in a channel (or joining one). They can't join another.
+                    throw new MessageError("already_joined", "You have already joined a channel.");
                 }
                 return;
+            case "create":
+                this.check_creation_rate(ws.address);
+                this.create_channel(data, (error, message) => {
+                    if (error) {
+                        // This would be a bug, rather than a problem with the message.
+                        console.error("Failed to create a channel:", error);
+                        return;
+                    }
+                    ws.send(JSON.stringify(message));
+                });
+                return;
+        }
+
+        // The remaining messages only make sense once the client has joined a channel.
+        const channel = this.participants.get(ws);
+        if (channel === undefined) {
+            throw new MessageError("not_joined", "You must join a channel first.");
+        }
+        switch (data.kind) {
             case "draw":
-                if (this.participants.has(ws)) {
-                    const channel = this.participants.get(ws);
-                    channel.draw(data);
-                } else {
-                    // The user is trying to draw something, when they don't
-                    // even belong to a channel. How foolish.
+                channel.draw(ws, data);
+                return;
+            case "cursor":
+                channel.cursor(ws, data);
+                return;
+            case "rename":
+                channel.rename(ws, data.name);
+                return;
+            case "kick":
+                channel.kick(ws, data.participant);
+                return;
+            case "history":
+            case "recording":
+                this.send_page(ws, channel, data);
+                return;
+            case "import":
+                channel.import(ws, data);
+                return;
+            case "add_layer":
+            case "update_layer":
+                channel.update_layers(ws, data);
+                return;
+            case "checkpoint":
+                if (ws.role === "viewer") {
+                    throw new MessageError("forbidden", "Viewers may not take checkpoints.");
                 }
+                channel.checkpoint(data.name.trim(), ws.id);
+                return;
+            case "checkpoints":
+                channel.send_checkpoints([ws]);
+                return;
+            case "restore":
+                channel.restore(ws, data.checkpoint);
+                return;
+            case "present":
+                channel.present(ws, data.presenting);
+                return;
+            case "viewport":
+                channel.share_view(ws, data);
                 return;
         }
         // All valid arms of the switch return early, so if we get here, then something
         // must be wrong with the message data.
-        throw new MessageError();
+        throw new MessageError("invalid_message", `Unknown message kind: ${data.kind}.`);
     }
 }
 
+// The maximum size of any message from a client, in bytes.
+Server.MAX_MESSAGE_SIZE = Protocol.MAX_MESSAGE_SIZE;
+// The maximum size of a drawing message, in bytes, of one containing an image, and of an edit
+// (which may apply to many strokes at once).
+Server.MAX_DRAW_SIZE = 4 * 1024;
+Server.MAX_IMAGE_DRAW_SIZE = Protocol.MAX_IMAGE_SIZE + 1024;
+Server.MAX_EDIT_SIZE = 64 * 1024;
+// The number of drawing messages each client may send per second, and in a single burst.
+Server.DRAW_RATE = Protocol.DRAW_RATE;
+Server.DRAW_BURST = Protocol.DRAW_BURST;
+// The number of invalid messages a client may send in a burst, and thereafter per second, before
+// we disconnect them.
+Server.MAX_VIOLATIONS = 20;
+Server.VIOLATION_RATE = 0.2;
+// The size of each page of the history or recording of a channel sent to clients, in bytes, and the
+// number of pages each client may request per second, and in a single burst.
+Server.PAGE_SIZE = 256 * 1024;
+Server.REQUEST_RATE = 8;
+Server.REQUEST_BURST = 16;
+// The number of channels that may be created from each address per second, and in a single burst.
+Server.CREATION_RATE = 1 / 60;
+Server.CREATION_BURST = 10;
+// How often (in milliseconds) processes remind each other who is connected to them, and how long
+// they remember it for.
+Server.PRESENCE_INTERVAL = 30 * 1000;
+Server.PRESENCE_TIMEOUT = 3 * Server.PRESENCE_INTERVAL;
+
 const PORT = process.env.PORT || 3000;
+// The number of seconds a channel may stay empty before it is garbage-collected.
+const CHANNEL_IDLE_TIMEOUT = (() => {
+    if (!process.env.CHANNEL_IDLE_TIMEOUT) {
+        return 60 * 60;
+    }
+    const timeout = Number(process.env.CHANNEL_IDLE_TIMEOUT);
+    if (!Number.isFinite(timeout) || timeout <= 0) {
+        console.error("CHANNEL_IDLE_TIMEOUT must be a positive number of seconds: using an hour.");
+        return 60 * 60;
+    }
+    return timeout;
+})();
+// Channel canvases are stored in `STORAGE_DIRECTORY` on the local disk by default. Otherwise,
+// `STORAGE_ADAPTER` should give the path to a module that exports a subclass of `Storage` (e.g. one
+// for a particular database), which is constructed with `STORAGE_URL` (e.g. the address of the
+// database).
+const STORAGE_DIRECTORY = process.env.STORAGE_DIRECTORY || "data";
+const STORAGE_ADAPTER = process.env.STORAGE_ADAPTER || null;
+const STORAGE_URL = process.env.STORAGE_URL || null;
+// Whether the server is behind a proxy (e.g. a load balancer) that sets the `X-Forwarded-For`
+// header, so that we can tell clients apart (see `Server.address_of`).
+const TRUST_PROXY = process.env.TRUST_PROXY === "true";
+// The keys with which the HTTP API may be used, separated by commas. The API may not be used at all
+// unless some are given.
+const API_KEYS = (process.env.API_KEYS || "")
+    .split(",")
+    .map((key) => key.trim())
+    .filter((key) => key !== "");
+// To run several server processes, which share channels, `PUBSUB_ADAPTER` should give the path to a
+// module that exports a subclass of `PubSub` (e.g. one for a particular message broker), which is
+// constructed with `PUBSUB_URL` (e.g. the address of the broker). Otherwise, each process is on its
+// own. Every process must also use the same storage: the processes don't send one another the
+// canvases of channels, only what changes in them. `STORAGE_DIRECTORY` will only do if it's on a
+// filesystem that every process shares, which isn't the case on most hosting platforms (e.g. each
+// Heroku dyno has its own), so a `STORAGE_ADAPTER` is usually needed too.
+const PUBSUB_ADAPTER = process.env.PUBSUB_ADAPTER || null;
+const PUBSUB_URL = process.env.PUBSUB_URL || null;
 
+// The HTTP server, which serves the client, and lets channels be created and acted upon through
+// the HTTP API. Requests are handled by `app.locals.server`, the `Server`, once it's been started.
+// This is only done when this file is run directly, rather than required (e.g. by the tests, which
+// start their own).
 const app = express();
+app.locals.server = null;
+app.locals.api_keys = API_KEYS;
+
+app.use(express.static("client"));
+
+// Create a new channel, returning the query string with which its owner may open it. The body may
+// contain the same options as a `create` message.
+app.post("/channels", express.json(), (req, res, next) => {
+    const { server } = req.app.locals;
+    const data = Object.assign({}, req.body, { kind: "create" });
+    const reason = Protocol.validate_client_message(data);
+    if (reason !== null) {
+        res.status(400).json({ code: "invalid_message", message: reason });
+        return;
+    }
+    try {
+        server.check_creation_rate(server.address_of(req));
+    } catch (error) {
+        res.status(429).json({ code: error.code, message: error.message });
+        return;
+    }
+    server.create_channel(data, (error, message) => {
+        if (error) {
+            next(error);
+            return;
+        }
+        res.status(201).json({ channel: message.channel, query_string: message.query_string });
+    });
+});
 
-const webserver = app.use(express.static("client"))
-    .listen(PORT, () => console.log(`Listening on ${PORT}.`));
+// The HTTP API, with which scripts may list channels, read and draw on their canvases, and clear
+// and delete them. Requests must give one of the `api_keys` as a bearer token, i.e. with the header
+// `Authorization: Bearer <key>`. Errors are reported in the same form as `error` messages.
+const api = express.Router();
 
-const server = new Server(webserver);
+api.use((req, res, next) => {
+    // We compare digests of the keys, so that the comparison takes the same time whatever the
+    // length of the key.
+    const digest = (key) => crypto.createHash("sha256").update(key).digest();
+    const match = /^Bearer (.+)$/.exec(req.get("Authorization") || "");
+    const key = match !== null
+        ? req.app.locals.api_keys.find((key) => {
+            return crypto.timingSafeEqual(digest(key), digest(match[1]));
+        })
+        : undefined;
+    if (key === undefined) {
+        res.status(401).json({ code: "forbidden", message: "A valid API key is required." });
+        return;
+    }
+    // Scripts draw as a participant whose identifier is derived from their key, so that what they
+    // draw is attributed to them consistently (e.g. for undoing it).
+    req.participant = { id: digest(key).toString("hex").slice(0, 16), role: "editor" };
+    next();
+});
 
-const add_channel = (name) => {
-    const query_string = Buffer.from(`channel=${name}`).toString("base64");
-    console.log(`Created channel ${name}, with query string:`, query_string);
-    server.channels.set(name, new Channel());
+api.param("channel", (req, res, next, name) => {
+    req.channel = req.app.locals.server.channels.get(name);
+    if (req.channel === undefined) {
+        res.status(404).json({ code: "unknown_channel", message: "There is no such channel." });
+        return;
+    }
+    next();
+});
+
+// Act on a channel on behalf of a script, reporting any `MessageError` that it causes.
+const act = (res, action) => {
+    try {
+        action();
+    } catch (error) {
+        if (error instanceof MessageError) {
+            res.status(error.code === "forbidden" ? 403 : 400)
+                .json({ code: error.code, message: error.message });
+            return;
+        }
+        throw error;
+    }
+    res.status(204).end();
 };
 
-add_channel("public");
+// List the channels, with the number of participants in each.
+api.get("/channels", (req, res) => {
+    res.json({
+        channels: Array.from(req.app.locals.server.channels.values(), (channel) => ({
+            channel: channel.name,
+            private: channel.settings.private,
+            participants: channel.participant_ids().size,
+        })),
+    });
+});
+
+// The actions that have been drawn on a channel's canvas since it was last cleared, as in a
+// `history` message.
+api.get("/channels/:channel/actions", (req, res) => {
+    res.json({ canvas: req.channel.canvas });
+});
+
+// An image of the canvas (see `Channel.render`).
+api.get("/channels/:channel/image.png", (req, res, next) => {
+    req.channel.render((error, png) => {
+        if (error) {
+            next(error);
+            return;
+        }
+        res.type("png").send(png);
+    });
+});
+
+// Draw actions on a channel's canvas. The body is of the same form as an `import` message. As with
+// imports, either every action is drawn, or none are.
+const json = express.json({ limit: Server.MAX_MESSAGE_SIZE });
+api.post("/channels/:channel/actions", json, (req, res) => {
+    const data = Object.assign({}, req.body, { kind: "import" });
+    const reason = Protocol.validate_client_message(data);
+    if (reason !== null) {
+        res.status(400).json({ code: "invalid_message", message: reason });
+        return;
+    }
+    act(res, () => req.channel.import(req.participant, data));
+});
+
+// Clear a channel's canvas.
+api.delete("/channels/:channel/actions", (req, res) => {
+    act(res, () => req.channel.draw(req.participant, { kind: "draw", shape: "clear" }));
+});
+
+// Delete a channel entirely. Persistent channels may not be deleted.
+api.delete("/channels/:channel", (req, res) => {
+    act(res, () => {
+        if (req.channel.persistent) {
+            throw new MessageError("forbidden", "Persistent channels may not be deleted.");
+        }
+        req.app.locals.server.delete_channel(req.channel.name, true);
+    });
+});
+
+app.use("/api", api);
+
+module.exports = { Channel, Server, MessageError, app };
+
+if (require.main === module) {
+    const webserver = app.listen(PORT, () => console.log(`Listening on ${PORT}.`));
+
+    let pubsub = new PubSub();
+    if (PUBSUB_ADAPTER !== null) {
+        const Adapter = require(path.resolve(PUBSUB_ADAPTER));
+        pubsub = new Adapter(PUBSUB_URL);
+    }
+
+    let storage = null;
+    if (STORAGE_ADAPTER !== null) {
+        const Adapter = require(path.resolve(STORAGE_ADAPTER));
+        storage = new Adapter(STORAGE_URL);
+    } else {
+        storage = new FileStorage(STORAGE_DIRECTORY);
+    }
+
+    const server = new Server(webserver, {
+        idle_timeout: CHANNEL_IDLE_TIMEOUT * 1000,
+        storage,
+        pubsub,
+        trust_proxy: TRUST_PROXY,
+    });
+    app.locals.server = server;
+
+    const add_channel = (name) => {
+        const channel = server.add_channel(name, true);
+        console.log(`Created channel ${name}, with query string:`, channel.query_string());
+    };
+
+    add_channel("public");
+}
@@ -0,0 +1,254 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+// A backend for storing the canvases of channels, so that they survive the server restarting.
+// This base class stores nothing at all, so canvases only last as long as the server process. The
+// exception is checkpoints, which channels don't keep themselves, so are kept in memory instead.
+// Adapters for other backends extend it, and are chosen with the `STORAGE_ADAPTER` environment
+// variable (see `server.js`).
+class Storage {
+    constructor() {
+        // The actions of each checkpoint, by channel and then by checkpoint.
+        this.checkpoints = new Map();
+    }
+
+    // Returns a `Map` from the names of stored channels to the actions recorded for each (`canvas`)
+    // and the settings of the channel (`settings`), or `null` if it has default settings.
+    load() {
+        return new Map();
+    }
+
+    // Start recording a new (empty) channel.
+    create(name) {}
+
+    // Record an action that has been drawn in a channel.
+    append(name, action) {}
+
+    // Replace the recorded actions for a channel, e.g. when the canvas has been cleared.
+    compact(name, canvas) {}
+
+    // Record the settings of a channel (see `Channel.settings`).
+    save_settings(name, settings) {}
+
+    // Record that a channel is still in use, even if nothing is being drawn in it. Each server
+    // process touches the channels that have participants connected to it, so that the other
+    // processes sharing the storage can tell which channels are idle.
+    touch(name) {}
+
+    // Returns the time at which a channel was last changed or touched, or `null` if we don't know.
+    last_active(name) {
+        return null;
+    }
+
+    // Add an action to the recording of a channel. Unlike the canvas, the recording is never
+    // compacted, so that the whole session may be played back, clears and all.
+    append_recording(name, action) {}
+
+    // Reads part of the recording of a channel, which may be far too large to read all at once:
+    // the actions following the position `from` (starting with 0), in the order they were drawn,
+    // until they take up at least `size` bytes. Calls `callback(error, actions, next)`, where
+    // `next` is the position of the remaining actions, or `null` if there are none.
+    load_recording(name, from, size, callback) {
+        setImmediate(() => callback(null, [], null));
+    }
+
+    // Record the actions of a checkpoint of a channel (see `Channel.settings`).
+    save_checkpoint(name, id, canvas) {
+        if (!this.checkpoints.has(name)) {
+            this.checkpoints.set(name, new Map());
+        }
+        // The canvas goes on being drawn on, so we keep a copy of it.
+        this.checkpoints.get(name).set(id, canvas.slice());
+    }
+
+    // Returns the actions of a checkpoint of a channel, or `null` if there is no such checkpoint.
+    load_checkpoint(name, id) {
+        const checkpoints = this.checkpoints.get(name);
+        return checkpoints !== undefined && checkpoints.has(id) ? checkpoints.get(id).slice() : null;
+    }
+
+    delete_checkpoint(name, id) {
+        if (this.checkpoints.has(name)) {
+            this.checkpoints.get(name).delete(id);
+        }
+    }
+
+    // Forget a channel entirely.
+    delete(name) {
+        this.checkpoints.delete(name);
+    }
+}
+
+// Stores each channel as an append-only log of actions in a directory on the local disk, with one
+// JSON-encoded action per line. The settings of each channel are stored in a separate JSON file, its
+// recording in a separate log, and its checkpoints in a directory of logs. Writes are synchronous,
+// so that the log on disk always matches the order in which the actions were accepted by the
+// channel.
+class FileStorage extends Storage {
+    constructor(directory) {
+        super();
+        this.directory = directory;
+        fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    path(name, extension = ".log") {
+        // Channel names are generated by the server, but we escape them anyway, so that they can
+        // never refer to a file outside the storage directory.
+        return path.join(this.directory, `${encodeURIComponent(name)}${extension}`);
+    }
+
+    // Returns the actions in a log file, one per line.
+    read_log(file, name) {
+        const actions = [];
+        for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+            if (line === "") {
+                continue;
+            }
+            try {
+                actions.push(JSON.parse(line));
+            } catch (error) {
+                // This is most likely a partially-written action from when the server was stopped.
+                // We lose only that action by skipping it.
+                console.error(`Skipped a corrupted action in channel "${name}":`, line);
+            }
+        }
+        return actions;
+    }
+
+    load() {
+        const channels = new Map();
+        for (const file of fs.readdirSync(this.directory)) {
+            if (path.extname(file) !== ".log") {
+                continue;
+            }
+            const name = decodeURIComponent(path.basename(file, ".log"));
+            const canvas = this.read_log(path.join(this.directory, file), name);
+            let settings = null;
+            if (fs.existsSync(this.path(name, ".json"))) {
+                settings = JSON.parse(fs.readFileSync(this.path(name, ".json"), "utf8"));
+            }
+            channels.set(name, { canvas, settings });
+        }
+        return channels;
+    }
+
+    create(name) {
+        this.compact(name, []);
+    }
+
+    append(name, action) {
+        fs.appendFileSync(this.path(name), `${JSON.stringify(action)}\n`);
+    }
+
+    // Write a log file in its entirety.
+    write_log(file, actions) {
+        // We write to a temporary file first and then rename it, so that the log is never left
+        // half-written.
+        const temporary = `${file}.tmp`;
+        fs.writeFileSync(temporary, actions.map((action) => `${JSON.stringify(action)}\n`).join(""));
+        fs.renameSync(temporary, file);
+    }
+
+    compact(name, canvas) {
+        this.write_log(this.path(name), canvas);
+    }
+
+    save_settings(name, settings) {
+        // As with `compact`, we make sure the file is never left half-written.
+        const temporary = `${this.path(name, ".json")}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(settings));
+        fs.renameSync(temporary, this.path(name, ".json"));
+    }
+
+    // The log of a channel is modified whenever an action is drawn, so we use its modification
+    // time to record activity.
+    touch(name) {
+        if (fs.existsSync(this.path(name))) {
+            const now = new Date();
+            fs.utimesSync(this.path(name), now, now);
+        }
+    }
+
+    last_active(name) {
+        return fs.existsSync(this.path(name)) ? fs.statSync(this.path(name)).mtimeMs : null;
+    }
+
+    append_recording(name, action) {
+        fs.appendFileSync(this.path(name, ".recording"), `${JSON.stringify(action)}\n`);
+    }
+
+    // Positions in the recording are offsets into its log, so that we only need to read the part of
+    // it that we're asked for.
+    load_recording(name, from, size, callback) {
+        const actions = [];
+        let position = from;
+        let next = null;
+        let finished = false;
+        const finish = (error) => {
+            if (!finished) {
+                finished = true;
+                callback(error, actions, next);
+            }
+        };
+        const input = fs.createReadStream(this.path(name, ".recording"), { start: from });
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        lines.on("error", (error) => {
+            // A channel that nothing has been drawn in has no recording at all.
+            finish(error.code === "ENOENT" ? null : error);
+        });
+        lines.on("line", (line) => {
+            if (finished || next !== null) {
+                // Lines that had already been read may still arrive after we've closed the log.
+                return;
+            }
+            if (position - from >= size) {
+                next = position;
+                lines.close();
+                input.destroy();
+                return;
+            }
+            position += Buffer.byteLength(line) + 1;
+            if (line === "") {
+                return;
+            }
+            try {
+                actions.push(JSON.parse(line));
+            } catch (error) {
+                // As in `read_log`.
+                console.error(`Skipped a corrupted action in channel "${name}":`, line);
+            }
+        });
+        lines.on("close", () => finish(null));
+    }
+
+    // The log of each checkpoint is named after its identifier.
+    checkpoint_path(name, id) {
+        return path.join(this.path(name, ".checkpoints"), `${id}.log`);
+    }
+
+    save_checkpoint(name, id, canvas) {
+        fs.mkdirSync(this.path(name, ".checkpoints"), { recursive: true });
+        this.write_log(this.checkpoint_path(name, id), canvas);
+    }
+
+    load_checkpoint(name, id) {
+        if (!fs.existsSync(this.checkpoint_path(name, id))) {
+            return null;
+        }
+        return this.read_log(this.checkpoint_path(name, id), name);
+    }
+
+    delete_checkpoint(name, id) {
+        fs.rmSync(this.checkpoint_path(name, id), { force: true });
+    }
+
+    delete(name) {
+        fs.rmSync(this.path(name, ".checkpoints"), { recursive: true, force: true });
+        fs.rmSync(this.path(name), { force: true });
+        fs.rmSync(this.path(name, ".json"), { force: true });
+        fs.rmSync(this.path(name, ".recording"), { force: true });
+    }
+}
+
+module.exports = { Storage, FileStorage };
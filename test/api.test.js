@@ -0,0 +1,102 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const { Channel, app } = require("../server");
+const Protocol = require("../client/protocol");
+const { start, stop, decode_png } = require("./helpers");
+
+const circle = (stroke, x, y) => ({
+    kind: "draw",
+    shape: "circle",
+    stroke,
+    at: { x, y, radius: 4, tool: "brush", colour: "black" },
+});
+
+test("scripts may act on channels through the HTTP API", async () => {
+    const instance = await start({}, app);
+    app.locals.server = instance.server;
+    app.locals.api_keys = ["secret"];
+    // Makes a request to the server, with the given API key, if any.
+    const request = (method, path, key = "secret", body = undefined) => {
+        const headers = {};
+        if (key !== null) {
+            headers.Authorization = `Bearer ${key}`;
+        }
+        if (body !== undefined) {
+            headers["Content-Type"] = "application/json";
+            body = JSON.stringify(body);
+        }
+        return fetch(`http://localhost:${instance.port}${path}`, { method, headers, body });
+    };
+    try {
+        // Channels are created without an API key, as by the client.
+        const created = await request("POST", "/channels", null, { private: true });
+        assert.strictEqual(created.status, 201);
+        const { channel } = await created.json();
+        instance.server.add_channel("public", true);
+
+        // The API may only be used with a valid key.
+        for (const key of [null, "guess"]) {
+            const response = await request("GET", "/api/channels", key);
+            assert.strictEqual(response.status, 401);
+            assert.strictEqual((await response.json()).code, "forbidden");
+        }
+        const { channels } = await (await request("GET", "/api/channels")).json();
+        assert.deepStrictEqual(channels.find((listed) => listed.channel === channel), {
+            channel,
+            private: true,
+            participants: 0,
+        });
+        assert.strictEqual(channels.length, 2);
+        assert.strictEqual((await request("GET", "/api/channels/nowhere/actions")).status, 404);
+
+        // Actions are drawn as a participant derived from the key.
+        const actions = `/api/channels/${channel}/actions`;
+        const drawn = await request("POST", actions, "secret", {
+            canvas: [circle(0, 10, 10), circle(1, 2000, 10)],
+        });
+        assert.strictEqual(drawn.status, 204);
+        const { canvas } = await (await request("GET", actions)).json();
+        assert.deepStrictEqual(canvas.map((action) => action.stroke), [0, 1]);
+        assert.strictEqual(canvas[0].author, canvas[1].author);
+
+        // Invalid actions are rejected, and nothing is drawn unless everything may be.
+        const invalid = await request("POST", actions, "secret", { canvas: [{ kind: "draw" }] });
+        assert.strictEqual(invalid.status, 400);
+        assert.strictEqual((await invalid.json()).code, "invalid_message");
+        const state = instance.server.channels.get(channel);
+        state.settings.layers = Protocol.update_layers(state.settings.layers, {
+            kind: "update_layer",
+            layer: 0,
+            locked: true,
+        });
+        const locked = await request("POST", actions, "secret", {
+            canvas: [Object.assign(circle(2, 0, 0), { layer: 0 })],
+        });
+        assert.strictEqual(locked.status, 403);
+        assert.strictEqual(state.canvas.length, 2);
+        // Likewise, the canvas may not be cleared while a layer is locked.
+        assert.strictEqual((await request("DELETE", actions)).status, 403);
+        state.settings.layers = Protocol.DEFAULT_LAYERS;
+
+        // The image is of the region of the canvas that is rasterised into snapshots, on white.
+        const image = await request("GET", `/api/channels/${channel}/image.png`);
+        assert.strictEqual(image.status, 200);
+        assert.strictEqual(image.headers.get("Content-Type"), "image/png");
+        const { width, height, pixel } = decode_png(Buffer.from(await image.arrayBuffer()));
+        assert.deepStrictEqual([width, height], Channel.SIZE);
+        assert.deepStrictEqual(pixel(10, 10), [0, 0, 0, 255]);
+        assert.deepStrictEqual(pixel(20, 10), [255, 255, 255, 255]);
+
+        assert.strictEqual((await request("DELETE", actions)).status, 204);
+        const cleared = await (await request("GET", actions)).json();
+        assert.deepStrictEqual(cleared.canvas.filter((action) => action.shape !== "clear"), []);
+
+        // Channels may be deleted, unless they're persistent.
+        assert.strictEqual((await request("DELETE", `/api/channels/${channel}`)).status, 204);
+        assert.strictEqual(instance.server.channels.has(channel), false);
+        assert.strictEqual((await request("GET", actions)).status, 404);
+        assert.strictEqual((await request("DELETE", "/api/channels/public")).status, 403);
+    } finally {
+        stop(instance);
+    }
+});
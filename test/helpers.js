@@ -0,0 +1,118 @@
+const assert = require("assert");
+const http = require("http");
+const zlib = require("zlib");
+const WebSocket = require("ws");
+const { Server } = require("../server");
+const Protocol = require("../client/protocol");
+
+// Start a server on an unused port, with the given options (see `Server`), and handling HTTP
+// requests with `handler`, if given.
+const start = (options = {}, handler = undefined) => new Promise((resolve) => {
+    const webserver = http.createServer(handler).listen(0, () => {
+        const server = new Server(webserver, options);
+        resolve({ server, webserver, port: webserver.address().port });
+    });
+});
+
+const stop = ({ server, webserver }) => {
+    server.close();
+    webserver.close();
+};
+
+// A client connected to one of the servers, which may wait for particular messages.
+class TestClient {
+    constructor(port) {
+        this.ws = new WebSocket(`ws://localhost:${port}`);
+        // The predicates of the messages being waited for, and the functions to call with them.
+        this.waiting = [];
+        this.ws.on("message", (message) => {
+            const data = JSON.parse(message);
+            this.waiting = this.waiting.filter(({ predicate, resolve }) => {
+                if (predicate(data)) {
+                    resolve(data);
+                    return false;
+                }
+                return true;
+            });
+        });
+        this.opened = new Promise((resolve) => this.ws.on("open", resolve));
+        this.closed = new Promise((resolve) => this.ws.on("close", resolve));
+    }
+
+    async send(data) {
+        await this.opened;
+        this.ws.send(JSON.stringify(data));
+    }
+
+    // Returns a promise that resolves to the first message (received from now on) for which
+    // `predicate` returns true.
+    receive(predicate) {
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                reject(new Error("Timed out waiting for a message."));
+            }, 2000);
+            this.waiting.push({
+                predicate,
+                resolve: (data) => {
+                    clearTimeout(timeout);
+                    resolve(data);
+                },
+            });
+        });
+    }
+
+    async join(channel, options = {}) {
+        const joined = this.receive((data) => data.kind === "channel");
+        const join = { kind: "join", channel, version: Protocol.VERSION };
+        await this.send(Object.assign(join, options));
+        return joined;
+    }
+
+    close() {
+        this.ws.close();
+    }
+}
+
+// Creates a channel on the given server, returning its name and the owner's invitation token.
+const create_channel = async (port) => {
+    const client = new TestClient(port);
+    const created = client.receive((data) => data.kind === "created");
+    await client.send({ kind: "create" });
+    const { channel, query_string } = await created;
+    client.close();
+    const token = new URLSearchParams(Buffer.from(query_string, "base64").toString()).get("token");
+    return { channel, token };
+};
+
+// Decodes an RGBA PNG that uses no filters, as encoded by `Raster.encode_png`, checking that it is
+// well-formed. Returns its size, and a function returning the RGBA components of each pixel.
+const decode_png = (png) => {
+    assert.deepStrictEqual(png.subarray(0, 8), Buffer.from("\x89PNG\r\n\x1a\n", "latin1"));
+    const chunks = [];
+    for (let offset = 8; offset < png.length;) {
+        const length = png.readUInt32BE(offset);
+        const typed_contents = png.subarray(offset + 4, offset + 8 + length);
+        assert.strictEqual(png.readUInt32BE(offset + 8 + length), zlib.crc32(typed_contents));
+        chunks.push({
+            type: typed_contents.subarray(0, 4).toString("ascii"),
+            contents: typed_contents.subarray(4),
+        });
+        offset += 12 + length;
+    }
+    assert.deepStrictEqual(chunks.map(({ type }) => type), ["IHDR", "IDAT", "IEND"]);
+    const header = chunks[0].contents;
+    const [width, height] = [header.readUInt32BE(0), header.readUInt32BE(4)];
+    assert.deepStrictEqual(Array.from(header.subarray(8)), [8, 6, 0, 0, 0]);
+    const data = zlib.inflateSync(chunks[1].contents);
+    assert.strictEqual(data.length, (width * 4 + 1) * height);
+    for (let y = 0; y < height; ++y) {
+        assert.strictEqual(data[y * (width * 4 + 1)], 0);
+    }
+    const pixel = (x, y) => {
+        const i = y * (width * 4 + 1) + 1 + x * 4;
+        return Array.from(data.subarray(i, i + 4));
+    };
+    return { width, height, pixel };
+};
+
+module.exports = { start, stop, TestClient, create_channel, decode_png };
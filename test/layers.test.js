@@ -0,0 +1,54 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const { start, stop, TestClient, create_channel } = require("./helpers");
+
+test("strokes on locked layers may not be undone or redone", async () => {
+    const instance = await start();
+    const { channel } = await create_channel(instance.port);
+    const client = new TestClient(instance.port);
+    try {
+        const { participant } = await client.join(channel);
+        // Waits for the server to act upon a message, returning its response.
+        const send = async (data, predicate) => {
+            const response = client.receive(predicate);
+            await client.send(data);
+            return response;
+        };
+        const draw = (data) => send(
+            Object.assign({ kind: "draw" }, data),
+            (response) => ["draw", "error"].includes(response.kind),
+        );
+        const update_layer = (layer, locked) => send(
+            { kind: "update_layer", layer, locked },
+            (response) => response.kind === "layers",
+        );
+        const at = { x: 0, y: 0, radius: 1, tool: "brush", colour: "black" };
+
+        // A stroke on the bottom layer, a stroke on a new layer above it, and an edit to the first.
+        await send({ kind: "add_layer", name: "Top" }, (response) => response.kind === "layers");
+        await draw({ shape: "circle", stroke: 0, at });
+        await draw({ shape: "circle", stroke: 1, layer: 1, at });
+        const targets = [{ author: participant, stroke: 0 }];
+        await draw({ shape: "move", stroke: 2, targets, dx: 1, dy: 1 });
+
+        // The edit may not be undone while the layer of the stroke it moved is locked.
+        await update_layer(0, true);
+        const rejected = await draw({ shape: "undo" });
+        assert.strictEqual(rejected.kind, "error");
+        assert.strictEqual(rejected.code, "forbidden");
+        assert.strictEqual(rejected.message, "The layer \"Layer 1\" is locked.");
+        await update_layer(0, false);
+        assert.strictEqual((await draw({ shape: "undo" })).stroke, 2);
+
+        // Nor may a stroke on a locked layer, but the edit may still be redone.
+        await update_layer(1, true);
+        assert.strictEqual((await draw({ shape: "undo" })).code, "forbidden");
+        const redone = await draw({ shape: "redo" });
+        assert.strictEqual(redone.shape, "redo");
+        assert.strictEqual(redone.stroke, 2);
+        assert.strictEqual(instance.server.channels.get(channel).canvas.length, 5);
+    } finally {
+        client.close();
+        stop(instance);
+    }
+});
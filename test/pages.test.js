@@ -0,0 +1,73 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test } = require("node:test");
+const { Server } = require("../server");
+const { FileStorage } = require("../storage");
+const { start, stop, TestClient, create_channel } = require("./helpers");
+
+test("the history and recording are sent a page at a time", async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "quiver-"));
+    const instance = await start({ storage: new FileStorage(directory) });
+    const client = new TestClient(instance.port);
+    const page_size = Server.PAGE_SIZE;
+    // Each circle takes up around 150 bytes, so this fits a few in each page.
+    Server.PAGE_SIZE = 500;
+    try {
+        const { channel } = await create_channel(instance.port);
+        await client.join(channel);
+        const drawn = client.receive((data) => data.kind === "draw" && data.shape === "clear");
+        for (let stroke = 0; stroke < 20; ++stroke) {
+            await client.send({
+                kind: "draw",
+                shape: "circle",
+                stroke,
+                at: { x: stroke, y: 0, radius: 1, tool: "brush", colour: "black" },
+            });
+        }
+        await client.send({ kind: "draw", shape: "clear" });
+        await drawn;
+        for (let stroke = 20; stroke < 30; ++stroke) {
+            await client.send({
+                kind: "draw",
+                shape: "circle",
+                stroke,
+                at: { x: stroke, y: 0, radius: 1, tool: "brush", colour: "black" },
+            });
+        }
+
+        // Fetches every page of the history or recording, returning the strokes in each.
+        const fetch = async (kind) => {
+            const pages = [];
+            let next;
+            do {
+                const page = client.receive((data) => data.kind === kind);
+                await client.send(next === undefined ? { kind } : { kind, from: next });
+                const data = await page;
+                pages.push((data.canvas || data.actions).map((action) => action.stroke));
+                next = data.next;
+            } while (next !== null);
+            return pages;
+        };
+        const history = await fetch("history");
+        assert(history.length > 1);
+        assert.deepStrictEqual(history.flat(), Array.from({ length: 10 }, (_, i) => 20 + i));
+        const recording = await fetch("recording");
+        assert(recording.length > 1);
+        assert.strictEqual(recording.flat().length, 31);
+
+        // Clients must wait for each page before requesting another.
+        const pages = client.receive((data) => data.kind === "recording");
+        const rejected = client.receive((data) => data.kind === "error");
+        await client.send({ kind: "recording" });
+        await client.send({ kind: "recording" });
+        assert.strictEqual((await rejected).code, "rate_limited");
+        await pages;
+    } finally {
+        Server.PAGE_SIZE = page_size;
+        client.close();
+        stop(instance);
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
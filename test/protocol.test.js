@@ -0,0 +1,143 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const Protocol = require("../client/protocol");
+
+const state = (x, y, radius = 1) => ({ x, y, radius, tool: "brush", colour: "black" });
+
+test("colours are parsed into their components", () => {
+    const cases = [
+        ["black", [0, 0, 0, 255]],
+        [" Tomato ", [255, 99, 71, 255]],
+        ["transparent", [0, 0, 0, 0]],
+        ["#f00", [255, 0, 0, 255]],
+        ["#f008", [255, 0, 0, 136]],
+        ["#12345678", [0x12, 0x34, 0x56, 0x78]],
+        ["rgb(1, 2, 3)", [1, 2, 3, 255]],
+        ["rgba(300, -5, 2.6, 0.5)", [255, 0, 3, 128]],
+        ["hsl(120, 100%, 50%)", [0, 255, 0, 255]],
+        ["hsla(-120, 100%, 50%, 2)", [0, 0, 255, 255]],
+        ["#ff", null],
+        ["rgb(1 2 3)", null],
+        ["constructor", null],
+        [null, null],
+    ];
+    for (const [colour, components] of cases) {
+        assert.deepStrictEqual(Protocol.parse_colour(colour), components, colour);
+    }
+});
+
+test("points survive being encoded and decoded", () => {
+    const points = [
+        { x: 10, y: -20, radius: 2 },
+        { x: 10.5, y: -19.7, radius: 2.1 },
+        { x: 12, y: -18, radius: 0 },
+        { x: -1000000, y: 1000000, radius: 3.3 },
+    ];
+    const encoded = Protocol.encode_points(points);
+    assert.deepStrictEqual(encoded.slice(0, 6), [100, -200, 20, 5, 3, 1]);
+    assert.deepStrictEqual(Protocol.decode_points(encoded), points);
+    // Positions are sent to the nearest tenth.
+    const rounded = Protocol.decode_points(Protocol.encode_points([{ x: 0.06, y: 0, radius: 1 }]));
+    assert.deepStrictEqual(rounded, [{ x: 0.1, y: 0, radius: 1 }]);
+});
+
+test("points are expanded into the bridges between their middle points", () => {
+    const points = [0, 10, 20, 30, 40].map((x) => ({ x, y: 0, radius: 1 }));
+    const header = { kind: "draw", shape: "circle", author: "a", stroke: 0, at: state(0, 0) };
+    const action = {
+        kind: "draw",
+        shape: "points",
+        author: "a",
+        stroke: 0,
+        points: Protocol.encode_points(points),
+    };
+    const bridges = Protocol.expand([header, action]).slice(1);
+    assert.deepStrictEqual(
+        bridges.map((bridge) => [bridge.shape, bridge.from.x, bridge.to.x]),
+        [["bridge", 10, 20], ["bridge", 20, 30]],
+    );
+    assert.deepStrictEqual(bridges[0].controls, {
+        from: { x: 40 / 3, y: 0 },
+        to: { x: 50 / 3, y: 0 },
+    });
+    assert.strictEqual(bridges[0].points, undefined);
+    assert.strictEqual(bridges[0].to.colour, "black");
+    // The header may be given separately, e.g. if it's in a snapshot, and points without one are
+    // dropped.
+    assert.strictEqual(Protocol.expand([action], new Map([["a:0", header]])).length, 2);
+    assert.strictEqual(Protocol.expand([action]).length, 0);
+});
+
+test("histories are resolved into what should be drawn", () => {
+    const circle = (author, stroke, x) => ({
+        kind: "draw",
+        shape: "circle",
+        author,
+        stroke,
+        at: state(x, 0),
+    });
+    const edit = (shape, author, stroke, target, properties = {}) => Object.assign({
+        kind: "draw",
+        shape,
+        author,
+        stroke,
+        targets: [target],
+    }, properties);
+    const history = [
+        circle("a", 0, 0),
+        circle("a", 1, 10),
+        circle("b", 0, 20),
+        edit("move", "b", 1, { author: "a", stroke: 0 }, { dx: 5, dy: 5 }),
+        { kind: "draw", shape: "undo", author: "a", stroke: 1 },
+        edit("delete", "a", 2, { author: "b", stroke: 0 }),
+        { kind: "draw", shape: "undo", author: "a", stroke: 2 },
+        { kind: "draw", shape: "redo", author: "a", stroke: 2 },
+    ];
+    const resolved = Protocol.resolve(history);
+    assert.deepStrictEqual(resolved.map(({ author, stroke, at }) => [author, stroke, at.x, at.y]), [
+        ["a", 0, 5, 5],
+    ]);
+    // The edits apply to copies of the actions.
+    assert.strictEqual(history[0].at.x, 0);
+});
+
+test("messages are validated", () => {
+    const valid = [
+        { kind: "join", channel: "public", version: Protocol.VERSION },
+        { kind: "draw", shape: "circle", stroke: 0, at: state(1, 2) },
+        { kind: "draw", shape: "circle", stroke: 0, layer: 1, at: state(1, 2) },
+        { kind: "draw", shape: "undo" },
+        { kind: "cursor", x: 1.5, y: -2 },
+        { kind: "history", from: 10 },
+    ];
+    for (const message of valid) {
+        const reason = Protocol.validate_client_message(message);
+        assert.strictEqual(reason, null, JSON.stringify(message));
+    }
+    const at = (properties) => Object.assign(state(1, 2), properties);
+    const invalid = [
+        [null, "Message must be an object."],
+        [{ kind: "toString" }, "Unknown message kind: \"toString\"."],
+        [{ kind: "draw", shape: "square" }, "Unknown shape: \"square\"."],
+        [{ kind: "join", channel: "public" }],
+        [{ kind: "join", channel: "public", version: 1, extra: true }],
+        [{ kind: "draw", shape: "circle", stroke: -1, at: state(1, 2) }],
+        [{ kind: "draw", shape: "circle", stroke: 0, at: state(Protocol.MAX_COORDINATE * 2, 2) }],
+        [{ kind: "draw", shape: "circle", stroke: 0, at: at({ tool: "ink" }) }],
+        [{ kind: "draw", shape: "circle", stroke: 0, at: at({ colour: "nope" }) }],
+        [{ kind: "draw", shape: "points", stroke: 0, points: [0, 0, 0] }],
+        [{ kind: "cursor", x: Infinity, y: 0 }],
+    ];
+    for (const [message, reason] of invalid) {
+        const actual = Protocol.validate_client_message(message);
+        assert.notStrictEqual(actual, null, JSON.stringify(message));
+        if (reason !== undefined) {
+            assert.strictEqual(actual, reason);
+        }
+    }
+    // Server messages are validated separately: only the server attributes strokes.
+    const undo = { kind: "draw", shape: "undo", stroke: 0 };
+    assert.notStrictEqual(Protocol.validate_client_message(undo), null);
+    const attributed = Object.assign({ author: "a" }, undo);
+    assert.strictEqual(Protocol.validate_server_message(attributed), null);
+});
@@ -0,0 +1,90 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { test } = require("node:test");
+const { FileStorage } = require("../storage");
+const { LocalPubSub } = require("../pubsub");
+const { start, stop, TestClient, create_channel } = require("./helpers");
+
+// Returns a promise that resolves once the next message of the given type that is published
+// through `hub` has reached every server (see `LocalPubSub`). The servers subscribed to the hub
+// before we did, so they receive each message before we do.
+const published = (hub, type) => new Promise((resolve) => {
+    const listener = (sender, json) => {
+        if (JSON.parse(json).type === type) {
+            hub.off("message", listener);
+            resolve();
+        }
+    };
+    hub.on("message", listener);
+});
+
+test("servers share drawing, presence and kicks through a pub/sub hub", async () => {
+    const hub = new EventEmitter();
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "quiver-"));
+    const storage = new FileStorage(directory);
+    const servers = [];
+    for (let i = 0; i < 2; ++i) {
+        servers.push(await start({ storage, pubsub: new LocalPubSub(hub) }));
+    }
+    const [owner, editor] = servers.map(({ port }) => new TestClient(port));
+    try {
+        const created = published(hub, "channel");
+        const { channel, token } = await create_channel(servers[0].port);
+        await created;
+        const owner_joined = await owner.join(channel, { token });
+        // Each participant sees everyone, whichever server they're connected to.
+        const present = owner.receive((data) => {
+            return data.kind === "presence" && data.participants.length === 2;
+        });
+        const editor_joined = await editor.join(channel);
+        assert.strictEqual(owner_joined.role, "owner");
+        assert.strictEqual(editor_joined.role, "editor");
+        await present;
+
+        // Drawing on one server is seen by participants on the other, and stored once.
+        const drawn = owner.receive((data) => data.kind === "draw");
+        const shared = published(hub, "draw");
+        await editor.send({
+            kind: "draw",
+            shape: "line",
+            stroke: 0,
+            from: { x: 0, y: 0 },
+            to: { x: 10, y: 10 },
+            colour: "black",
+            width: 2,
+        });
+        const line = await drawn;
+        assert.strictEqual(line.author, editor_joined.participant);
+        await shared;
+        for (const { server } of servers) {
+            assert.strictEqual(server.channels.get(channel).canvas.length, 1);
+        }
+        assert.strictEqual(storage.load().get(channel).canvas.length, 1);
+
+        // A session may be resumed on a server that started after it began.
+        servers.push(await start({ storage, pubsub: new LocalPubSub(hub) }));
+        const resumed = new TestClient(servers[2].port);
+        const resumed_joined = await resumed.join(channel, { session: owner_joined.session });
+        assert.strictEqual(resumed_joined.participant, owner_joined.participant);
+        assert.strictEqual(resumed_joined.role, "owner");
+        resumed.close();
+
+        // The owner may remove participants connected to another server.
+        const kicked = editor.receive((data) => data.kind === "error" && data.code === "kicked");
+        const left = owner.receive((data) => {
+            return data.kind === "presence" && data.participants.length === 1;
+        });
+        await owner.send({ kind: "kick", participant: editor_joined.participant });
+        await kicked;
+        await editor.closed;
+        await left;
+    } finally {
+        owner.close();
+        editor.close();
+        servers.forEach(stop);
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,88 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { test } = require("node:test");
+const WebSocket = require("ws");
+const { start, stop, create_channel } = require("./helpers");
+const Protocol = require("../client/protocol");
+
+// Loads the client's `Client` class, with just enough of a browser for it to connect to `port`.
+const load_client = (port) => {
+    const context = {
+        console,
+        Protocol,
+        WebSocket,
+        setTimeout,
+        clearTimeout,
+        location: { origin: `http://localhost:${port}` },
+        window: { localStorage: { getItem: () => null } },
+        document: { addEventListener: () => {} },
+    };
+    vm.createContext(context);
+    const source = fs.readFileSync(path.join(__dirname, "../client/quiver.js"), "utf8");
+    vm.runInContext(`${source}\nthis.Client = Client;`, context);
+    return context.Client;
+};
+
+test("drawing queued while disconnected reaches the server intact", async () => {
+    const instance = await start();
+    const Client = load_client(instance.port);
+    // The delegate updates the user interface, which we don't have, so we just note any errors,
+    // and when the server has sent back the last message we queued (by which time it has sent any
+    // errors about the others too).
+    const errors = [];
+    let received_last = null;
+    const last = new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+            reject(new Error(`Timed out waiting for the last message: errors were ${errors}.`));
+        }, 2000);
+        received_last = () => {
+            clearTimeout(timeout);
+            resolve();
+        };
+    });
+    const client = new Client(new Proxy({}, {
+        get: (_, method) => {
+            switch (method) {
+                case "draw":
+                    return (data, remote) => {
+                        if (remote && data.stroke === Client.MAX_QUEUE_LENGTH - 1) {
+                            received_last();
+                        }
+                    };
+                case "error":
+                    return (code) => errors.push(code);
+                default:
+                    return () => {};
+            }
+        },
+    }));
+    try {
+        const { channel } = await create_channel(instance.port);
+        // Anything beyond the queue's capacity is dropped.
+        for (let stroke = 0; stroke <= Client.MAX_QUEUE_LENGTH; ++stroke) {
+            client.send_message({
+                kind: "draw",
+                shape: "circle",
+                stroke,
+                at: { x: stroke, y: 0, radius: 1, tool: "brush", colour: "black" },
+            });
+        }
+        assert.strictEqual(client.queue.length, Client.MAX_QUEUE_LENGTH);
+
+        client.connect(channel);
+        await last;
+        assert.deepStrictEqual(errors, []);
+        assert.deepStrictEqual(
+            instance.server.channels.get(channel).canvas.map((action) => action.stroke),
+            Array.from({ length: Client.MAX_QUEUE_LENGTH }, (_, stroke) => stroke),
+        );
+    } finally {
+        client.stopped = true;
+        if (client.ws !== null) {
+            client.ws.close();
+        }
+        stop(instance);
+    }
+});
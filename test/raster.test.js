@@ -0,0 +1,75 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const { Raster } = require("../raster");
+const { decode_png } = require("./helpers");
+
+const encode = (raster) => new Promise((resolve, reject) => {
+    raster.encode_png((error, png) => error ? reject(error) : resolve(png));
+});
+
+const state = (x, y, radius, colour = "black", tool = "brush") => ({ x, y, radius, tool, colour });
+
+test("rasters are encoded as PNGs", async () => {
+    const raster = new Raster(7, 3);
+    raster.pixels.set([255, 0, 0, 255], (1 * 7 + 2) * 4);
+    raster.pixels.set([0, 0, 255, 128], (2 * 7 + 6) * 4);
+    const { width, height, pixel } = decode_png(await encode(raster));
+    assert.deepStrictEqual([width, height], [7, 3]);
+    for (let y = 0; y < height; ++y) {
+        for (let x = 0; x < width; ++x) {
+            const i = (y * width + x) * 4;
+            assert.deepStrictEqual(pixel(x, y), Array.from(raster.pixels.subarray(i, i + 4)));
+        }
+    }
+});
+
+test("circles fill the pixels whose centres they contain", async () => {
+    const raster = new Raster(16, 16);
+    raster.draw({ shape: "circle", author: "a", stroke: 0, at: state(8, 8, 3) });
+    const { pixel } = decode_png(await encode(raster));
+    assert.deepStrictEqual(pixel(8, 8), [0, 0, 0, 255]);
+    assert.deepStrictEqual(pixel(10, 8), [0, 0, 0, 255]);
+    assert.deepStrictEqual(pixel(11, 8), [0, 0, 0, 0]);
+    assert.deepStrictEqual(pixel(10, 10), [0, 0, 0, 0]);
+    assert.deepStrictEqual(pixel(0, 0), [0, 0, 0, 0]);
+});
+
+test("bridges join their ends, blending between their colours", async () => {
+    const raster = new Raster(32, 16);
+    raster.draw({
+        shape: "bridge",
+        author: "a",
+        stroke: 0,
+        from: state(4, 8, 2, "red"),
+        to: state(28, 8, 2, "blue"),
+    });
+    const { pixel } = decode_png(await encode(raster));
+    assert.deepStrictEqual(pixel(3, 8), [255, 0, 0, 255]);
+    assert.deepStrictEqual(pixel(28, 8), [0, 0, 255, 255]);
+    // The middle of the bridge is between the two colours.
+    const [r, g, b, a] = pixel(16, 8);
+    assert(r > 64 && r < 192 && g === 0 && b > 64 && b < 192 && a === 255);
+    assert.deepStrictEqual(pixel(16, 11), [0, 0, 0, 0]);
+    assert.deepStrictEqual(pixel(16, 4), [0, 0, 0, 0]);
+});
+
+test("erasing makes pixels transparent", async () => {
+    const raster = new Raster(16, 16);
+    raster.draw({ shape: "circle", author: "a", stroke: 0, at: state(8, 8, 6) });
+    raster.draw({ shape: "circle", author: "a", stroke: 1, at: state(8, 8, 2, "black", "eraser") });
+    const { pixel } = decode_png(await encode(raster));
+    assert.deepStrictEqual(pixel(8, 8), [0, 0, 0, 0]);
+    assert.deepStrictEqual(pixel(12, 8), [0, 0, 0, 255]);
+});
+
+test("translucent strokes are blended once, including those still being drawn", async () => {
+    const raster = new Raster(32, 16);
+    const colour = "rgba(0, 0, 255, 0.5)";
+    // The stroke overlaps itself, but is no more opaque where it does.
+    raster.draw({ shape: "circle", author: "a", stroke: 0, at: state(8, 8, 4, colour) });
+    raster.draw({ shape: "circle", author: "a", stroke: 0, at: state(10, 8, 4, colour) });
+    const { pixel } = decode_png(await encode(raster));
+    assert.deepStrictEqual(pixel(9, 8), pixel(5, 8));
+    assert.strictEqual(pixel(9, 8)[3], 128);
+    assert.deepStrictEqual(pixel(20, 8), [0, 0, 0, 0]);
+});
@@ -0,0 +1,82 @@
+const assert = require("assert");
+const { test } = require("node:test");
+const { Channel } = require("../server");
+const Protocol = require("../client/protocol");
+const { start, stop, TestClient, create_channel, decode_png } = require("./helpers");
+
+// Returns a promise that resolves once `predicate` returns true, checking every few milliseconds.
+const until = (predicate) => new Promise((resolve, reject) => {
+    const started = Date.now();
+    const check = () => {
+        if (predicate()) {
+            resolve();
+        } else if (Date.now() - started > 2000) {
+            reject(new Error("Timed out waiting for a condition."));
+        } else {
+            setTimeout(check, 5);
+        }
+    };
+    check();
+});
+
+const circle = (stroke, x, y) => ({
+    kind: "draw",
+    shape: "circle",
+    stroke,
+    at: { x, y, radius: 4, tool: "brush", colour: "black" },
+});
+
+test("participants joining after a snapshot receive it with what it doesn't contain", async () => {
+    const interval = Channel.SNAPSHOT_INTERVAL;
+    Channel.SNAPSHOT_INTERVAL = 4;
+    const instance = await start();
+    const [artist, latecomer] = [new TestClient(instance.port), new TestClient(instance.port)];
+    try {
+        const { channel: name } = await create_channel(instance.port);
+        const channel = instance.server.channels.get(name);
+        await artist.join(name);
+
+        // Drawing on the canvas, partly outside the region that is rasterised, and starting a
+        // freehand stroke, triggers a snapshot.
+        const text = { kind: "draw", shape: "text", stroke: 2, x: 8, y: 8, size: 12 };
+        Object.assign(text, { colour: "black", text: "Hello" });
+        for (const action of [circle(0, 10, 10), circle(1, -50, 10), text, circle(3, 100, 20)]) {
+            await artist.send(action);
+        }
+        await until(() => channel.snapshot !== null);
+        assert.strictEqual(channel.snapshot.length, 4);
+
+        // The freehand stroke continues after the snapshot, and another stroke is drawn.
+        const points = [100, 110, 120, 130].map((x) => ({ x, y: 20, radius: 4 }));
+        const drawn = artist.receive((data) => data.kind === "draw" && data.stroke === 4);
+        await artist.send({
+            kind: "draw",
+            shape: "points",
+            stroke: 3,
+            points: Protocol.encode_points(points),
+        });
+        await artist.send(circle(4, 200, 20));
+        await drawn;
+
+        const joined = await latecomer.join(name);
+        const strokes = (actions) => actions.map((action) => [action.shape, action.stroke]);
+        assert.deepStrictEqual(strokes(joined.canvas), [["points", 3], ["circle", 4]]);
+        assert.deepStrictEqual(strokes(joined.headers), [["circle", 3]]);
+        assert.deepStrictEqual(strokes(joined.overflow), [["circle", 1], ["text", 2]]);
+        assert.deepStrictEqual([joined.snapshot.width, joined.snapshot.height], Channel.SIZE);
+        assert.deepStrictEqual(joined.snapshot.images.map(({ layer }) => layer), [0]);
+        const png = Buffer.from(joined.snapshot.images[0].image.split(",")[1], "base64");
+        const { width, height, pixel } = decode_png(png);
+        assert.deepStrictEqual([width, height], Channel.SIZE);
+        assert.deepStrictEqual(pixel(10, 10), [0, 0, 0, 255]);
+        assert.deepStrictEqual(pixel(100, 20), [0, 0, 0, 255]);
+        // The rest of the freehand stroke isn't in the snapshot.
+        assert.deepStrictEqual(pixel(115, 20), [0, 0, 0, 0]);
+        assert.deepStrictEqual(pixel(200, 20), [0, 0, 0, 0]);
+    } finally {
+        Channel.SNAPSHOT_INTERVAL = interval;
+        artist.close();
+        latecomer.close();
+        stop(instance);
+    }
+});
@@ -0,0 +1,124 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test } = require("node:test");
+const { Storage, FileStorage } = require("../storage");
+
+const circle = (stroke) => ({
+    kind: "draw",
+    shape: "circle",
+    stroke,
+    at: { x: stroke, y: 0, radius: 1, tool: "brush", colour: "black" },
+});
+
+// Calls `body` with a `FileStorage` in a fresh directory, which is removed afterwards.
+const with_directory = (body) => async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "quiver-"));
+    try {
+        await body(directory);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+};
+
+test("channels are reloaded as they were left", with_directory((directory) => {
+    const storage = new FileStorage(directory);
+    storage.create("empty");
+    storage.create("drawn");
+    for (let stroke = 0; stroke < 3; ++stroke) {
+        storage.append("drawn", circle(stroke));
+    }
+    storage.save_settings("drawn", { private: true, layers: [] });
+
+    const channels = new FileStorage(directory).load();
+    assert.deepStrictEqual(Array.from(channels.keys()).sort(), ["drawn", "empty"]);
+    assert.deepStrictEqual(channels.get("empty"), { canvas: [], settings: null });
+    assert.deepStrictEqual(channels.get("drawn"), {
+        canvas: [circle(0), circle(1), circle(2)],
+        settings: { private: true, layers: [] },
+    });
+}));
+
+test("compacting replaces the actions of a channel", with_directory((directory) => {
+    const storage = new FileStorage(directory);
+    storage.create("channel");
+    storage.append("channel", circle(0));
+    storage.append("channel", circle(1));
+    storage.compact("channel", [circle(1)]);
+    storage.append("channel", circle(2));
+    assert.deepStrictEqual(
+        new FileStorage(directory).load().get("channel").canvas,
+        [circle(1), circle(2)],
+    );
+    // Nothing is left behind from writing the log.
+    assert.deepStrictEqual(fs.readdirSync(directory), ["channel.log"]);
+}));
+
+test("corrupted actions are skipped", with_directory((directory) => {
+    const storage = new FileStorage(directory);
+    storage.create("channel");
+    storage.append("channel", circle(0));
+    // As if the server were stopped part-way through writing an action.
+    fs.appendFileSync(storage.path("channel"), JSON.stringify(circle(1)).slice(0, 20));
+    fs.appendFileSync(storage.path("channel"), "\n");
+    storage.append("channel", circle(2));
+    const error = console.error;
+    console.error = () => {};
+    try {
+        assert.deepStrictEqual(storage.load().get("channel").canvas, [circle(0), circle(2)]);
+    } finally {
+        console.error = error;
+    }
+}));
+
+test("channel names can't refer to files outside the directory", with_directory((directory) => {
+    const storage = new FileStorage(path.join(directory, "channels"));
+    storage.create("../escaped");
+    assert.deepStrictEqual(fs.readdirSync(directory), ["channels"]);
+    assert.deepStrictEqual(Array.from(storage.load().keys()), ["../escaped"]);
+}));
+
+test("checkpoints are kept apart from the canvas", with_directory((directory) => {
+    for (const storage of [new Storage(), new FileStorage(directory)]) {
+        const canvas = [circle(0)];
+        storage.save_checkpoint("channel", 1, canvas);
+        // Drawing on the canvas afterwards doesn't change the checkpoint.
+        canvas.push(circle(1));
+        storage.save_checkpoint("channel", 2, canvas);
+        assert.deepStrictEqual(storage.load_checkpoint("channel", 1), [circle(0)]);
+        assert.deepStrictEqual(storage.load_checkpoint("channel", 2), [circle(0), circle(1)]);
+        assert.strictEqual(storage.load_checkpoint("channel", 3), null);
+        assert.strictEqual(storage.load_checkpoint("other", 1), null);
+        storage.delete_checkpoint("channel", 1);
+        assert.strictEqual(storage.load_checkpoint("channel", 1), null);
+        assert.deepStrictEqual(storage.load_checkpoint("channel", 2), [circle(0), circle(1)]);
+    }
+}));
+
+test("deleting a channel removes everything stored for it", with_directory((directory) => {
+    const storage = new FileStorage(directory);
+    storage.create("channel");
+    storage.append("channel", circle(0));
+    storage.append_recording("channel", circle(0));
+    storage.save_settings("channel", { private: false });
+    storage.save_checkpoint("channel", 1, [circle(0)]);
+    storage.delete("channel");
+    assert.deepStrictEqual(fs.readdirSync(directory), []);
+    assert.strictEqual(storage.load().size, 0);
+    assert.strictEqual(storage.load_checkpoint("channel", 1), null);
+}));
+
+test("channels are active when they're changed or touched", with_directory((directory) => {
+    const storage = new FileStorage(directory);
+    assert.strictEqual(storage.last_active("channel"), null);
+    storage.create("channel");
+    const past = new Date(Date.now() - 60 * 1000);
+    fs.utimesSync(storage.path("channel"), past, past);
+    assert(storage.last_active("channel") <= past.getTime());
+    storage.touch("channel");
+    assert(storage.last_active("channel") > past.getTime());
+    fs.utimesSync(storage.path("channel"), past, past);
+    storage.append("channel", circle(0));
+    assert(storage.last_active("channel") > past.getTime());
+}));